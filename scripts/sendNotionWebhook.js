@@ -0,0 +1,47 @@
+/* eslint-disable no-console */
+// Post a Notion webhook fixture to a running server, signed like Notion signs it.
+// Usage: node scripts/sendNotionWebhook.js <fixture> [page id]
+//   fixture: a file in scripts/fixtures/notion-webhook (name with or without .json) or a path
+//   page id: replaces the fixture's entity ID, e.g. a page of your own database
+// Signs with NOTION_WEBHOOK_SECRET; posts to WEBHOOK_URL (default http://localhost:$PORT/webhooks/notion).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'notion-webhook');
+
+function fixturePath(name) {
+  if (fs.existsSync(name)) return name;
+  return path.join(FIXTURE_DIR, name.endsWith('.json') ? name : `${name}.json`);
+}
+
+(async () => {
+  const [name, pageId] = process.argv.slice(2);
+  if (!name) {
+    console.error(`Usage: node scripts/sendNotionWebhook.js <fixture> [page id]\nFixtures: ${fs.readdirSync(FIXTURE_DIR).join(', ')}`);
+    process.exit(2);
+  }
+
+  const event = JSON.parse(fs.readFileSync(fixturePath(name), 'utf8'));
+  if (pageId && event.entity) event.entity.id = pageId;
+  const body = JSON.stringify(event);
+
+  const headers = { 'Content-Type': 'application/json' };
+  const secret = process.env.NOTION_WEBHOOK_SECRET;
+  if (secret) {
+    headers['X-Notion-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  } else if (!event.verification_token) {
+    console.warn('NOTION_WEBHOOK_SECRET is not set; sending the event unsigned (expect 401)');
+  }
+
+  const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks/notion`;
+  try {
+    const response = await fetch(url, { method: 'POST', headers, body });
+    console.log(`${response.status} ${await response.text()}`);
+    process.exitCode = response.ok ? 0 : 1;
+  } catch (error) {
+    console.error(`Request to ${url} failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+})();
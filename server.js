@@ -5,6 +5,12 @@ require('dotenv').config();
 
 const config = require('./src/config');
 const syncService = require('./src/services/syncService');
+const revertService = require('./src/services/revertService');
+const notionWebhooks = require('./src/services/notionWebhookService');
+const scheduler = require('./src/services/schedulerService');
+const syncRuns = require('./src/models/syncRun');
+const { requireScope, rateLimit } = require('./src/middleware/apiAccess');
+const metrics = require('./src/utils/metrics');
 const logger = require('./src/utils/logger');
 
 const app = express();
@@ -12,8 +18,11 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
-app.use(express.json());
+// Browsers may only call the API from the configured origins (none by default)
+const { corsOrigins } = config.server;
+app.use(cors({ origin: corsOrigins.length === 0 ? false : corsOrigins.includes('*') ? '*' : corsOrigins }));
+// Keep the raw body: webhook signatures are computed over the exact bytes received
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -25,14 +34,38 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Manual sync trigger endpoint
-app.post('/sync', async (req, res) => {
+// Everything below needs a credential with the route's scope, except the Notion webhook,
+// which Notion signs itself
+const canRead = [requireScope('read'), rateLimit('read')];
+const canTrigger = [requireScope('trigger'), rateLimit('trigger')];
+
+// Manual sync trigger endpoint (?dryRun=true returns the plan without writing anything).
+// A request made while a sync runs gets that run's result (coalesced: true), or waits
+// for a revert or targeted run to finish first.
+app.post('/sync', canTrigger, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
   try {
-    logger.info('Manual sync triggered via API');
-    await syncService.performFullSync();
+    logger.info(`Manual sync triggered via API${dryRun ? ' (dry run)' : ''}`, { client: req.client.id });
+    const outcome = await syncService.requestSync({ dryRun, trigger: 'manual' });
+
+    if (!outcome) {
+      return res.status(409).json({
+        success: false,
+        message: `A sync is still in progress after waiting ${config.server.triggers.waitMs / 1000} s`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { result, coalesced } = outcome;
+    if (dryRun) {
+      return res.status(200).json({ success: true, ...result });
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Sync completed successfully',
+      message: coalesced ? 'Joined the sync already in progress' : 'Sync completed successfully',
+      coalesced,
+      result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -46,29 +79,125 @@ app.post('/sync', async (req, res) => {
 });
 
 // Get sync status
-app.get('/sync/status', (req, res) => {
+app.get('/sync/status', canRead, (req, res) => {
   const status = syncService.getSyncStatus();
-  res.status(200).json(status);
+  res.status(200).json({ ...status, schedule: scheduler.status() });
+});
+
+// Prometheus metrics (text exposition format)
+app.get('/metrics', canRead, async (req, res) => {
+  try {
+    const { contentType, body } = await metrics.render();
+    res.set('Content-Type', contentType).send(body);
+  } catch (error) {
+    logger.error('Rendering metrics failed', error);
+    res.status(500).json({ success: false, message: 'Could not render metrics' });
+  }
+});
+
+// Past sync runs, newest first (without journals).
+// Filters: ?trigger=&status=&since=&until=&taskId=&limit=
+app.get('/sync/history', canRead, async (req, res) => {
+  const { trigger, status, since, until, taskId } = req.query;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ success: false, message: 'limit must be a positive integer' });
+  }
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ success: false, message: `${name} must be an ISO date/time` });
+    }
+  }
+
+  try {
+    await syncRuns.load();
+    const runs = syncRuns.list({
+      trigger,
+      status,
+      since: since && new Date(since).toISOString(),
+      until: until && new Date(until).toISOString(),
+      taskId,
+      limit
+    });
+    res.status(200).json({ runs, retentionDays: config.sync.history.retentionDays });
+  } catch (error) {
+    logger.error('Reading sync history failed', error);
+    res.status(500).json({ success: false, message: 'Could not read sync history' });
+  }
 });
 
-// Schedule automatic sync every 2 minutes using setInterval
-setInterval(async () => {
+// One run with its per-operation journal
+app.get('/sync/history/:runId', canRead, async (req, res) => {
   try {
-    console.log('🔄 INTERVAL TRIGGERED at:', new Date().toISOString());
-    logger.info('🔄 Starting scheduled sync');
-    await syncService.performFullSync();
-    logger.info('✅ Scheduled sync completed');
+    await syncRuns.load();
+    const run = syncRuns.get(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, message: `No sync run ${req.params.runId} in the history` });
+    }
+    res.status(200).json(run);
   } catch (error) {
-    console.error('❌ INTERVAL ERROR:', error);
-    logger.error('❌ Scheduled sync failed:', error);
+    logger.error('Reading sync history failed', error);
+    res.status(500).json({ success: false, message: 'Could not read sync history' });
   }
-}, 5 * 60 * 1000); // 5 minutes in milliseconds
+});
 
-console.log('📅 INTERVAL SET - should run every 2 minutes');
-console.log('📅 Current time:', new Date().toISOString());
+// Undo a recorded run (?dryRun=true lists what would be restored and removed).
+// Refused with 409 and the conflicting tasks when any of them changed after the run.
+app.post('/sync/runs/:runId/revert', canTrigger, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  try {
+    logger.info(`Revert of run ${req.params.runId} triggered via API${dryRun ? ' (dry run)' : ''}`, { client: req.client.id });
+    const result = await revertService.performRevert(req.params.runId, { dryRun, trigger: 'manual' });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sync is already in progress',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof revertService.RevertError) {
+      return res.status(error.status).json({ success: false, message: error.message, conflicts: error.conflicts });
+    }
+    logger.error('Revert failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Revert failed',
+      error: error.message
+    });
+  }
+});
+
+// Notion webhook: the one-time verification request, then signed events. Events are
+// acknowledged at once; the sync runs after a short quiet period (see notionWebhookService).
+app.post('/webhooks/notion', (req, res) => {
+  const body = req.body || {};
+
+  if (typeof body.verification_token === 'string') {
+    notionWebhooks.receiveVerificationToken(body.verification_token);
+    return res.status(200).json({ success: true });
+  }
+
+  if (!notionWebhooks.verifySignature(req.rawBody, req.get('X-Notion-Signature'))) {
+    logger.warn('Notion webhook rejected: invalid or missing signature', { type: body.type });
+    return res.status(401).json({ success: false, message: 'Invalid signature' });
+  }
+
+  const queued = notionWebhooks.enqueue(body);
+  res.status(200).json({ success: true, queued });
+});
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON (e.g. a webhook delivery cut short) is the sender's fault, not ours
+  if (err.type === 'entity.parse.failed') {
+    logger.warn('Request rejected: body is not valid JSON', { method: req.method, path: req.path, message: err.message });
+    return res.status(400).json({ success: false, message: 'Request body is not valid JSON' });
+  }
+
   logger.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
@@ -80,12 +209,22 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   logger.info(`🚀 Server running on port ${PORT}`);
   logger.info('📋 Notion-Google Tasks sync service started');
+
+  const { auth } = config.server;
+  if (!auth.enabled) {
+    logger.warn('API authentication is off (AUTH=off); anyone who can reach this port can read status and start syncs');
+  } else if (auth.readKeys.length === 0 && auth.triggerKeys.length === 0 && !auth.tokenSecret) {
+    logger.warn('No API keys or token secret configured; every API call except /health and Notion webhooks is refused');
+  }
+
+  // Scheduled incremental and full syncs (see config.sync.schedule)
+  scheduler.start();
   
   // Perform initial sync on startup
   setTimeout(async () => {
     try {
       logger.info('🔄 Running initial sync...');
-      await syncService.performFullSync();
+      await syncService.performFullSync({ trigger: 'startup' });
       logger.info('✅ Initial sync completed');
     } catch (error) {
       logger.error('❌ Initial sync failed:', error);
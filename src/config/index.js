@@ -1,32 +1,280 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Cron } = require('croner');
+
+const COMPLETION_TYPES = ['status', 'select', 'checkbox'];
+const STATE_STORES = ['file', 'blob'];
+
+// Set by the Azure Functions host for every worker process
+const inAzureFunctions = Boolean(process.env.FUNCTIONS_WORKER_RUNTIME);
+
+const splitList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// A non-negative number from the environment; unset or empty gives the default. Anything
+// else is refused: NaN would silently turn off the limits and caps these settings hold.
+function numberSetting(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return defaultValue;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number (got "${raw}")`);
+  }
+  return value;
+}
+
+// Which Notion properties hold the task fields, and how completion is stored.
+// Env vars give the defaults; a pair's `properties` object overrides them per database:
+//   { title, due, parent, googleLink, completion: { property, type: status|select|checkbox, doneValues, reopenValue } }
+function resolveProperties(overrides = {}, label = 'Notion properties') {
+  const completion = { ...overrides.completion };
+  const resolved = {
+    title: overrides.title || process.env.NOTION_TITLE_PROPERTY || 'Name',
+    due: overrides.due || process.env.NOTION_DUE_PROPERTY || 'Due Date',
+    // Self-relation holding a sub-item's parent page ("" turns subtask sync off)
+    parent: overrides.parent ?? process.env.NOTION_PARENT_PROPERTY ?? 'Parent item',
+    // URL or text property that gets the paired Google task's link (URL) or ID (text); "" for none
+    googleLink: overrides.googleLink ?? process.env.NOTION_GOOGLE_LINK_PROPERTY ?? '',
+    completion: {
+      property: completion.property || process.env.NOTION_COMPLETION_PROPERTY || 'Status',
+      type: completion.type || process.env.NOTION_COMPLETION_TYPE || 'status',
+      // Values that count as done; the first one is written when a task is completed
+      doneValues: completion.doneValues || splitList(process.env.NOTION_DONE_VALUES || 'Done'),
+      // Value for reopened tasks (when the current value is a done value) and new open tasks
+      reopenValue: completion.reopenValue || process.env.NOTION_REOPEN_VALUE || 'To Do'
+    }
+  };
+
+  if (!COMPLETION_TYPES.includes(resolved.completion.type)) {
+    throw new Error(`${label}: completion type must be one of ${COMPLETION_TYPES.join(', ')}`);
+  }
+  if (resolved.completion.type !== 'checkbox' && resolved.completion.doneValues.length === 0) {
+    throw new Error(`${label}: completion needs at least one done value`);
+  }
+  return resolved;
+}
+
+// 5 fields, or 6 with seconds first (Azure Functions timers take the same expressions)
+function isValidCron(value) {
+  if (![5, 6].includes(value.trim().split(/\s+/).length)) return false;
+  try {
+    new Cron(value, { paused: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Cron expression for one of the scheduler's jobs; "off" (or "" for the full sync) disables it
+function cronSchedule(name, value) {
+  if (!value || value === 'off') return null;
+  if (!isValidCron(value)) throw new Error(`${name}: invalid cron expression "${value}"`);
+  return value;
+}
+
+// SYNC_INTERVAL_MINUTES as a cron expression (minutes dividing an hour, or hours dividing a
+// day). Steps restart at each hour or day, so any other value would give a shorter last gap.
+function intervalSchedule(minutes) {
+  if (minutes < 60 && 60 % minutes === 0) return `*/${minutes} * * * *`;
+  if (minutes % 60 === 0 && 24 % (minutes / 60) === 0) return `0 */${minutes / 60} * * *`;
+  throw new Error(`SYNC_INTERVAL_MINUTES must divide an hour (e.g. 5, 15, 30) or be whole hours dividing a day (e.g. 120, 360); got ${minutes}. Use SYNC_SCHEDULE for other cadences`);
+}
+
+// SYNC_QUIET_HOURS "HH:MM-HH:MM" (may cross midnight) → { start, end, label } in minutes of the day
+function parseQuietHours(value) {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value.trim());
+  const minutes = match && [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m));
+  if (!match || minutes.some(m => m >= 24 * 60) || Number(match[2]) > 59 || Number(match[4]) > 59 || minutes[0] === minutes[1]) {
+    throw new Error(`SYNC_QUIET_HOURS must look like "22:00-07:00" (got "${value}")`);
+  }
+  return { start: minutes[0], end: minutes[1], label: value.trim() };
+}
+
+function timeZone(value) {
+  if (!value) return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+  } catch (error) {
+    throw new Error(`SYNC_SCHEDULE_TIMEZONE: unknown time zone "${value}"`);
+  }
+  return value;
+}
+
+const intervalMinutes = parseInt(process.env.SYNC_INTERVAL_MINUTES) || 5;
+
+// Google task list ↔ Notion database pairs synced in one run.
+// SYNC_PAIRS (JSON) or SYNC_PAIRS_FILE (path to JSON) holds an array of
+//   { name, databaseId, dataSourceId?, taskListId, routing?: { property, lists: { [option]: taskListId } }, properties? }
+// Without either, the single NOTION_DATABASE_ID / GOOGLE_TASK_LIST_ID pair is used.
+function loadSyncPairs() {
+  let raw = process.env.SYNC_PAIRS;
+  if (!raw && process.env.SYNC_PAIRS_FILE) {
+    raw = fs.readFileSync(path.resolve(process.env.SYNC_PAIRS_FILE), 'utf8');
+  }
+
+  if (!raw) {
+    return [{
+      name: 'default',
+      databaseId: process.env.NOTION_DATABASE_ID,
+      dataSourceId: process.env.NOTION_DATA_SOURCE_ID || null,
+      taskListId: process.env.GOOGLE_TASK_LIST_ID || '@default',
+      routing: null,
+      properties: resolveProperties()
+    }];
+  }
+
+  const pairs = JSON.parse(raw);
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    throw new Error('SYNC_PAIRS must be a non-empty JSON array');
+  }
+
+  return pairs.map((pair, index) => {
+    if (!pair.databaseId || !pair.taskListId) {
+      throw new Error(`SYNC_PAIRS[${index}] needs databaseId and taskListId`);
+    }
+    if (pair.routing && (!pair.routing.property || !pair.routing.lists)) {
+      throw new Error(`SYNC_PAIRS[${index}].routing needs property and lists`);
+    }
+    return {
+      name: pair.name || `pair-${index + 1}`,
+      databaseId: pair.databaseId,
+      dataSourceId: pair.dataSourceId || null,
+      taskListId: pair.taskListId,
+      routing: pair.routing || null,
+      properties: resolveProperties(pair.properties, `SYNC_PAIRS[${index}].properties`)
+    };
+  });
+}
+
+const syncPairs = loadSyncPairs();
 
 const config = {
   notion: {
     token: process.env.NOTION_TOKEN,
-    databaseId: process.env.NOTION_DATABASE_ID,
-    apiVersion: '2025-09-03'
+    databaseId: process.env.NOTION_DATABASE_ID || syncPairs[0].databaseId,
+    apiVersion: '2025-09-03',
+    // Property mapping for pages outside any configured pair
+    properties: resolveProperties()
   },
   google: {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     redirectUri: process.env.GOOGLE_REDIRECT_URI,
     refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
-    taskListId: process.env.GOOGLE_TASK_LIST_ID || '@default'
+    taskListId: process.env.GOOGLE_TASK_LIST_ID || syncPairs[0].taskListId
+  },
+  api: {
+    // Client-side rate limits (requests per second); Notion allows an average of 3
+    notion: { requestsPerSecond: numberSetting('NOTION_REQUESTS_PER_SECOND', 3) },
+    google: { requestsPerSecond: numberSetting('GOOGLE_REQUESTS_PER_SECOND', 10) },
+    // Retries of rate-limited (429), 5xx and network failures, with jittered exponential backoff
+    maxRetries: numberSetting('API_MAX_RETRIES', 5),
+    retryBaseMs: numberSetting('API_RETRY_BASE_MS', 500),
+    retryMaxMs: numberSetting('API_RETRY_MAX_MS', 30000)
   },
   sync: {
-    intervalMinutes: parseInt(process.env.SYNC_INTERVAL_MINUTES) || 15,
-    batchSize: parseInt(process.env.BATCH_SIZE) || 50
+    intervalMinutes,
+    batchSize: parseInt(process.env.BATCH_SIZE) || 50,
+    pairs: syncPairs,
+    incremental: {
+      // Fetch only tasks changed since the stored watermark, merged into a cached snapshot
+      enabled: process.env.SYNC_INCREMENTAL !== 'false',
+      // A full fetch still runs at least this often to catch anything a watermark misses
+      fullSweepMinutes: numberSetting('FULL_SWEEP_MINUTES', 360)
+    },
+    deletion: {
+      // Archive/delete the paired task when one side disappears
+      enabled: process.env.SYNC_DELETIONS !== 'false',
+      // How long a task must stay gone before its pair is removed
+      graceMinutes: numberSetting('DELETE_GRACE_MINUTES', 10),
+      // Safety cap on deletions performed in a single run
+      maxPerRun: numberSetting('MAX_DELETES_PER_RUN', 10)
+    },
+    history: {
+      // How long run records (with their per-operation journals) are kept
+      retentionDays: numberSetting('SYNC_HISTORY_DAYS', 30)
+    },
+    schedule: {
+      // Frequent incremental syncs: a cron expression, or every SYNC_INTERVAL_MINUTES
+      incremental: cronSchedule('SYNC_SCHEDULE', process.env.SYNC_SCHEDULE || intervalSchedule(intervalMinutes)),
+      // Full syncs that re-read every task on both sides (default nightly at 03:00)
+      full: cronSchedule('SYNC_FULL_SCHEDULE', process.env.SYNC_FULL_SCHEDULE ?? '0 3 * * *'),
+      // IANA time zone for both expressions and the quiet hours (default: the server's)
+      timezone: timeZone(process.env.SYNC_SCHEDULE_TIMEZONE),
+      // Each scheduled run starts up to this many seconds after its planned time
+      jitterSeconds: numberSetting('SYNC_JITTER_SECONDS', 0),
+      // After consecutive failures, scheduled syncs pause for base × 2^(failures - 1), up to max
+      backoffBaseMinutes: numberSetting('SYNC_BACKOFF_BASE_MINUTES', 5),
+      backoffMaxMinutes: numberSetting('SYNC_BACKOFF_MAX_MINUTES', 60),
+      // No incremental syncs in this window; the full sync keeps its own schedule
+      quietHours: parseQuietHours(process.env.SYNC_QUIET_HOURS)
+    }
+  },
+  webhooks: {
+    notion: {
+      // Verification token Notion sent when the subscription was created; it signs every event
+      secret: process.env.NOTION_WEBHOOK_SECRET || '',
+      // Events are collected until none arrive for debounceMs, but never held longer than maxWaitMs
+      debounceMs: numberSetting('NOTION_WEBHOOK_DEBOUNCE_MS', 5000),
+      maxWaitMs: numberSetting('NOTION_WEBHOOK_MAX_WAIT_MS', 30000)
+    }
+  },
+  state: {
+    // Directory for persisted sync state (task ID mappings, snapshots and watermarks)
+    dir: process.env.SYNC_STATE_DIR || path.join(process.cwd(), 'data'),
+    // file: JSON files in dir; blob: one blob per file in Azure Blob Storage (the default under
+    // Azure Functions, where instances come and go and the local disk does not last)
+    store: process.env.SYNC_STATE_STORE || (inAzureFunctions ? 'blob' : 'file'),
+    blob: {
+      connectionString: process.env.SYNC_STATE_BLOB_CONNECTION_STRING || process.env.AzureWebJobsStorage || '',
+      container: process.env.SYNC_STATE_BLOB_CONTAINER || 'sync-state'
+    }
+  },
+  logging: {
+    // error | warn | info | debug
+    level: process.env.LOG_LEVEL || 'info',
+    // pretty: "[time] [LEVEL] message {meta}" lines; json: one JSON object per line
+    format: process.env.LOG_FORMAT === 'json' ? 'json' : 'pretty',
+    dir: process.env.LOG_DIR || path.join(process.cwd(), 'logs'),
+    // Files rotate daily and at maxSize; older ones are removed past maxFiles (a count, or an age like "14d")
+    maxSize: process.env.LOG_MAX_SIZE || '20m',
+    maxFiles: process.env.LOG_MAX_FILES || '14d',
+    // Write log files; off by default under Azure Functions, which collects console output instead
+    files: process.env.LOG_FILES ? process.env.LOG_FILES === 'true' : !inAzureFunctions,
+    // Also write every line to the console: stderr (e.g. under a process manager), or stdout under Azure Functions
+    console: (process.env.LOG_CONSOLE ? process.env.LOG_CONSOLE === 'true' : inAzureFunctions) && (inAzureFunctions ? 'stdout' : 'stderr')
   },
   server: {
     port: process.env.PORT || 3000,
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    auth: {
+      // "off" only behind something that authenticates for us; /health and webhooks are always open
+      enabled: process.env.AUTH !== 'off',
+      // Static API keys: read keys see status and history, trigger keys may also start syncs and reverts
+      readKeys: splitList(process.env.AUTH_READ_KEYS || ''),
+      triggerKeys: splitList(process.env.AUTH_TRIGGER_KEYS || ''),
+      // Signs bearer tokens made with `node src/index.js token`
+      tokenSecret: process.env.AUTH_TOKEN_SECRET || ''
+    },
+    // Requests per client (API key, token subject, or IP without auth) per window
+    rateLimit: {
+      windowMs: numberSetting('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000,
+      read: numberSetting('RATE_LIMIT_READ', 60),
+      trigger: numberSetting('RATE_LIMIT_TRIGGER', 5)
+    },
+    triggers: {
+      // How long a manual trigger waits for a run in progress before giving up with 409
+      waitMs: numberSetting('SYNC_TRIGGER_WAIT_SECONDS', 120) * 1000
+    },
+    // Browser origins allowed to call the API; none by default, "*" for any
+    corsOrigins: splitList(process.env.CORS_ORIGINS || '')
   }
 };
 
 // Validate required environment variables
 const requiredVars = [
   'NOTION_TOKEN',
-  'NOTION_DATABASE_ID',
   'GOOGLE_CLIENT_ID',
   'GOOGLE_CLIENT_SECRET',
   'GOOGLE_REFRESH_TOKEN'
@@ -38,4 +286,23 @@ for (const varName of requiredVars) {
   }
 }
 
+if (!config.notion.databaseId) {
+  throw new Error('Missing required environment variable: NOTION_DATABASE_ID (or SYNC_PAIRS)');
+}
+
+const { readKeys, triggerKeys, tokenSecret } = config.server.auth;
+if ([...readKeys, ...triggerKeys].some(key => key.length < 16)) {
+  throw new Error('AUTH_READ_KEYS / AUTH_TRIGGER_KEYS: API keys must be at least 16 characters');
+}
+if (tokenSecret && tokenSecret.length < 32) {
+  throw new Error('AUTH_TOKEN_SECRET must be at least 32 characters');
+}
+
+if (!STATE_STORES.includes(config.state.store)) {
+  throw new Error(`SYNC_STATE_STORE must be one of ${STATE_STORES.join(', ')}`);
+}
+if (config.state.store === 'blob' && !config.state.blob.connectionString) {
+  throw new Error('The blob state store needs SYNC_STATE_BLOB_CONNECTION_STRING (or AzureWebJobsStorage)');
+}
+
 module.exports = config;
@@ -0,0 +1,113 @@
+// Azure Functions entry point (programming model v4): timer-triggered syncs plus HTTP
+// triggers for a manual sync and the status, all going through the same services as
+// the server. Instances keep nothing between invocations: task mappings, fetch snapshots
+// and the run history live in the state store (Blob Storage by default, see config.state),
+// and a lease on that store keeps two instances from syncing at once.
+const { app } = require('@azure/functions');
+const config = require('../config');
+const syncService = require('../services/syncService');
+const syncRuns = require('../models/syncRun');
+const stateLock = require('../utils/stateLock');
+const logger = require('../utils/logger');
+
+// Timer triggers take NCRONTAB expressions, which always start with a seconds field
+function ncrontab(expression) {
+  return expression.trim().split(/\s+/).length === 5 ? `0 ${expression.trim()}` : expression.trim();
+}
+
+// Same jobs as the server's scheduler (config.sync.schedule). Times are UTC unless the
+// app sets WEBSITE_TIME_ZONE; jitter, quiet hours and backoff only apply under server.js.
+const timerJobs = [
+  { name: 'scheduledSync', expression: config.sync.schedule.incremental, trigger: 'interval', fullSweep: false },
+  { name: 'fullSync', expression: config.sync.schedule.full, trigger: 'full', fullSweep: true }
+];
+
+for (const job of timerJobs.filter(job => job.expression)) {
+  app.timer(job.name, {
+    schedule: ncrontab(job.expression),
+    handler: async timer => {
+      logger.info('Scheduled sync starting', { job: job.name, isPastDue: timer.isPastDue });
+      // A thrown error fails the invocation, which is what Azure monitors and alerts on
+      const result = await syncService.performFullSync({ trigger: job.trigger, fullSweep: job.fullSweep });
+      if (!result) logger.info('Scheduled sync skipped: a sync is in progress', { job: job.name });
+    }
+  });
+}
+
+// POST /api/sync (?dryRun=true returns the plan without writing anything); joins or
+// waits for a sync in progress like the server's POST /sync
+app.http('sync', {
+  methods: ['POST'],
+  authLevel: 'function',
+  route: 'sync',
+  handler: async request => {
+    const dryRun = request.query.get('dryRun') === 'true';
+    try {
+      logger.info(`Manual sync triggered via API${dryRun ? ' (dry run)' : ''}`);
+      const outcome = await syncService.requestSync({ dryRun, trigger: 'manual' });
+
+      if (!outcome) {
+        return {
+          status: 409,
+          jsonBody: {
+            success: false,
+            message: `A sync is still in progress after waiting ${config.server.triggers.waitMs / 1000} s`,
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
+      const { result, coalesced } = outcome;
+      if (dryRun) {
+        return { status: 200, jsonBody: { success: true, ...result } };
+      }
+
+      return {
+        status: 200,
+        jsonBody: {
+          success: true,
+          message: coalesced ? 'Joined the sync already in progress' : 'Sync completed successfully',
+          coalesced,
+          result,
+          timestamp: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      logger.error('Manual sync failed:', error);
+      return { status: 500, jsonBody: { success: false, message: 'Sync failed', error: error.message } };
+    }
+  }
+});
+
+// GET /api/sync/status. The in-memory counters of the server's status only cover this
+// instance, so the last runs come from the stored history instead.
+app.http('syncStatus', {
+  methods: ['GET'],
+  authLevel: 'function',
+  route: 'sync/status',
+  handler: async () => {
+    try {
+      await syncRuns.load();
+      const [lastRun] = syncRuns.list({ limit: 1 });
+      const [lastSuccess] = syncRuns.list({ status: 'success', limit: 1 });
+      const { stats, ...status } = syncService.getSyncStatus();
+
+      return {
+        status: 200,
+        jsonBody: {
+          ...status,
+          isRunning: syncService.isRunning || await stateLock.isHeld(),
+          lastSync: lastSuccess ? lastSuccess.endedAt : null,
+          lastRun: lastRun || null,
+          schedule: {
+            timezone: process.env.WEBSITE_TIME_ZONE || 'UTC',
+            jobs: timerJobs.map(job => ({ name: job.name, expression: job.expression ? ncrontab(job.expression) : null }))
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Reading sync status failed', error);
+      return { status: 500, jsonBody: { success: false, message: 'Could not read sync status' } };
+    }
+  }
+});
@@ -1,5 +1,369 @@
-const { app } = require('@azure/functions');
+#!/usr/bin/env node
+// Command-line entry point: one-off syncs, dry-run plans and diagnostics,
+// all going through the same services as the server.
+const fs = require('fs');
+const path = require('path');
 
-app.setup({
-    enableHttpStream: true,
-});
+const USAGE = `Usage: node src/index.js [command] [options]
+
+Commands:
+  sync                    Run one sync (default command)
+  plan                    Show what a sync would change, without writing anything
+  status                  List pairs, stored task mappings and fetch watermarks
+  check-schema            Check each Notion data source has the properties the sync uses
+  list-tasks --side <s>   List tasks on one side (notion | google)
+  doctor                  Check configuration, state store and API access
+  revert <run id>         Undo a recorded sync run (see GET /sync/history)
+  token --scope <s>       Print a signed API bearer token (read | trigger); needs AUTH_TOKEN_SECRET
+
+Options:
+  --pair <name>           Only this list pair (all commands but status and doctor)
+  --dry-run               With revert: list what would be restored, without writing
+  --name <subject>        With token: who the token is for, shown in logs (default: cli)
+  --expires <duration>    With token: lifetime like 90d, 12h or 30m; 0 never expires (default: 90d)
+  --json                  Print JSON on stdout (logs go to stderr)
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 failure or problems found, 2 usage error`;
+
+const COMMANDS = ['sync', 'plan', 'status', 'check-schema', 'list-tasks', 'doctor', 'revert', 'token'];
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = { command: null, json: false, help: false, side: null, pair: null, runId: null, dryRun: false, scope: null, name: 'cli', expires: '90d' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '-h' || arg === '--help') options.help = true;
+    else if (['--side', '--pair', '--scope', '--name', '--expires'].includes(arg)) {
+      const value = argv[++i];
+      if (!value || value.startsWith('--')) throw new UsageError(`${arg} needs a value`);
+      options[arg.slice(2)] = value;
+    } else if (/^--(side|pair|scope|name|expires)=/.test(arg)) {
+      const [name, ...value] = arg.slice(2).split('=');
+      options[name] = value.join('=');
+    }
+    else if (!options.command && !arg.startsWith('-')) options.command = arg;
+    else if (options.command === 'revert' && !options.runId && !arg.startsWith('-')) options.runId = arg;
+    else throw new UsageError(`Unknown argument: ${arg}`);
+  }
+
+  options.command = options.command || 'sync';
+  if (!COMMANDS.includes(options.command)) throw new UsageError(`Unknown command: ${options.command}`);
+  if (options.command === 'list-tasks' && !['notion', 'google'].includes(options.side)) {
+    throw new UsageError('list-tasks needs --side notion|google');
+  }
+  if (options.command === 'revert' && !options.runId) throw new UsageError('revert needs a run ID');
+  if (options.command === 'token') {
+    if (!['read', 'trigger'].includes(options.scope)) throw new UsageError('token needs --scope read|trigger');
+    if (!/^(0|\d+[smhd])$/.test(options.expires)) throw new UsageError('--expires must look like 90d, 12h, 30m, 45s or 0');
+  }
+  return options;
+}
+
+// Services are loaded lazily so `doctor` can report a broken configuration instead of crashing on it
+function services() {
+  return {
+    config: require('./config'),
+    syncService: require('./services/syncService'),
+    notionService: require('./services/notionService'),
+    googleTasksService: require('./services/googleTasksService'),
+    revertService: require('./services/revertService'),
+    taskMappings: require('./models/taskMapping'),
+    taskSnapshots: require('./models/taskSnapshot')
+  };
+}
+
+function selectedPairs(config, pairName) {
+  if (!pairName) return config.sync.pairs;
+  const pairs = config.sync.pairs.filter(listPair => listPair.name === pairName);
+  if (pairs.length === 0) {
+    throw new UsageError(`Unknown pair "${pairName}" (configured: ${config.sync.pairs.map(p => p.name).join(', ')})`);
+  }
+  return pairs;
+}
+
+function sourceOf(listPair) {
+  return { databaseId: listPair.databaseId, dataSourceId: listPair.dataSourceId };
+}
+
+async function runSync(options) {
+  const { config, syncService } = services();
+  const result = await syncService.performFullSync({ pairs: selectedPairs(config, options.pair), trigger: 'cli' });
+  if (!result) throw new Error('A sync is already in progress');
+  return {
+    ok: true,
+    data: { success: true, ...result, finishedAt: new Date().toISOString() },
+    text: `Sync completed (run ${result.runId}): ${result.created} created, ${result.updated} updated, ${result.deleted} deleted (${result.pairs} paired tasks)`
+  };
+}
+
+async function runPlan(options) {
+  const { config, syncService } = services();
+  const plan = await syncService.performFullSync({ dryRun: true, pairs: selectedPairs(config, options.pair) });
+  const lines = plan.operations.map(op => {
+    const what = op.type === 'update' ? `update ${op.field}` : op.type;
+    const change = op.chars
+      ? ` (${op.chars.from} → ${op.chars.to} chars)`
+      : op.from !== undefined ? ` (${JSON.stringify(op.from)} → ${JSON.stringify(op.to)})` : '';
+    return `[${op.pair}] ${what} on ${op.target}: "${op.title}"${change} — ${op.reason}`;
+  });
+
+  return {
+    ok: plan.failedPairs.length === 0,
+    data: plan,
+    text: [
+      `${plan.operations.length} planned operation(s)`,
+      ...lines,
+      ...plan.failedPairs.map(name => `Planning failed for pair "${name}" (see logs)`)
+    ].join('\n')
+  };
+}
+
+async function runRevert(options) {
+  const { revertService } = services();
+  let result;
+  try {
+    result = await revertService.performRevert(options.runId, { dryRun: options.dryRun, trigger: 'cli' });
+  } catch (error) {
+    if (!(error instanceof revertService.RevertError) || error.conflicts.length === 0) throw error;
+    return {
+      ok: false,
+      data: { success: false, message: error.message, conflicts: error.conflicts },
+      text: [`❌ ${error.message}`, ...error.conflicts.map(c => `   - "${c.title}": ${c.reason}`)].join('\n')
+    };
+  }
+  if (!result) throw new Error('A sync is already in progress');
+
+  const skipped = result.notReverted.map(op => `  not reverted: ${op.type}${op.field ? ` ${op.field}` : ''} on ${op.target}: "${op.title}"`);
+  if (result.dryRun) {
+    const lines = result.operations.map(op => {
+      const change = op.from !== undefined ? ` (${JSON.stringify(op.from)} → ${JSON.stringify(op.to)})` : '';
+      return `[${op.pair}] ${op.type === 'delete' ? 'remove created task' : `restore ${op.field}`} on ${op.target}: "${op.title}"${change}`;
+    });
+    return { ok: true, data: result, text: [`${result.operations.length} operation(s) to revert run ${result.revertOf}`, ...lines, ...skipped].join('\n') };
+  }
+  return {
+    ok: true,
+    data: { success: true, ...result },
+    text: [`Reverted run ${result.revertOf} (run ${result.runId}): ${result.restored} field(s) restored, ${result.removed} created task(s) removed`, ...skipped].join('\n')
+  };
+}
+
+async function runStatus() {
+  const { config, syncService, taskMappings, taskSnapshots } = services();
+  await Promise.all([taskMappings.load(), taskSnapshots.load()]);
+
+  const mappings = taskMappings.all();
+  const syncStatus = syncService.getSyncStatus();
+  const status = {
+    stateStore: config.state.store,
+    stateDir: config.state.dir,
+    stateContainer: config.state.store === 'blob' ? config.state.blob.container : null,
+    listPairs: syncStatus.listPairs.map(listPair => ({
+      ...listPair,
+      mappings: mappings.filter(m => (m.pair || config.sync.pairs[0].name) === listPair.name).length
+    })),
+    mappings: mappings.length,
+    pendingDeletions: mappings.filter(m => m.missingSince).map(m => ({
+      title: m.title,
+      missingSide: m.missingSide,
+      missingSince: m.missingSince
+    })),
+    lastSyncedAt: mappings.reduce((latest, m) => (!latest || m.lastSyncedAt > latest ? m.lastSyncedAt : latest), null),
+    sources: taskSnapshots.summary(),
+    rules: syncStatus.rules
+  };
+
+  const text = [
+    status.stateContainer ? `State: blob container ${status.stateContainer}` : `State directory: ${status.stateDir}`,
+    `Task mappings: ${status.mappings} (last synced ${status.lastSyncedAt || 'never'})`,
+    ...status.listPairs.map(p => `  ${p.name}: Notion ${p.databaseId} ↔ Google ${p.taskListId}${p.routing ? ` (routed by "${p.routing.property}")` : ''}, ${p.mappings} mapped`),
+    `Pending deletions: ${status.pendingDeletions.length}`,
+    ...status.pendingDeletions.map(d => `  "${d.title}" missing on ${d.missingSide} since ${d.missingSince}`),
+    'Fetch snapshots:',
+    ...Object.entries(status.sources).map(([key, s]) => `  ${key}: ${s.tasks} tasks, watermark ${s.watermark}, last full sweep ${s.lastFullSweep}`)
+  ];
+  return { ok: true, data: status, text: text.join('\n') };
+}
+
+async function runCheckSchema(options) {
+  const { config, notionService } = services();
+  const results = [];
+
+  for (const listPair of selectedPairs(config, options.pair)) {
+    try {
+      const schema = await notionService.getSchema(sourceOf(listPair));
+      results.push({ pair: listPair.name, dataSourceId: schema.id, name: schema.name, problems: notionService.schemaProblems(schema, listPair), properties: schema.properties });
+    } catch (error) {
+      results.push({ pair: listPair.name, problems: [`Could not read schema: ${error.message}`] });
+    }
+  }
+
+  const text = results.map(r => r.problems.length === 0
+    ? `✅ ${r.pair}: data source "${r.name}" (${r.dataSourceId}) has every property the sync uses`
+    : [`❌ ${r.pair}:`, ...r.problems.map(problem => `   - ${problem}`)].join('\n'));
+  return { ok: results.every(r => r.problems.length === 0), data: results, text: text.join('\n') };
+}
+
+async function runListTasks(options) {
+  const { config, syncService, notionService, googleTasksService } = services();
+  const tasks = [];
+
+  for (const listPair of selectedPairs(config, options.pair)) {
+    if (options.side === 'notion') {
+      const notionTasks = await notionService.getTasks(sourceOf(listPair));
+      tasks.push(...notionTasks.map(task => ({ pair: listPair.name, ...task })));
+    } else {
+      for (const listId of syncService.listPairTaskListIds(listPair)) {
+        const googleTasks = await googleTasksService.getTasks(listId);
+        tasks.push(...googleTasks.map(task => ({ pair: listPair.name, ...task })));
+      }
+    }
+  }
+
+  const text = tasks.map(task => `${task.completed ? '[x]' : '[ ]'} ${task.title}${task.due ? ` (due ${task.due})` : ''}  ${task.id}${task.listId ? ` in ${task.listId}` : ''}`);
+  return { ok: true, data: tasks, text: [...text, `${tasks.length} ${options.side} task(s)`].join('\n') };
+}
+
+async function runDoctor() {
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      checks.push({ name, ok: true, detail: await fn() });
+      return true;
+    } catch (error) {
+      checks.push({ name, ok: false, detail: error.message });
+      return false;
+    }
+  };
+
+  let loaded;
+  const configured = await check('Configuration', async () => {
+    loaded = services();
+    return `${loaded.config.sync.pairs.length} list pair(s): ${loaded.config.sync.pairs.map(p => p.name).join(', ')}`;
+  });
+
+  if (configured) {
+    const { config, syncService, notionService, googleTasksService } = loaded;
+    const { readJson } = require('./utils/jsonFile');
+
+    const file = path.join(config.state.dir, 'task-mappings.json');
+    if (config.state.store === 'blob') {
+      await check('State store', async () => {
+        await readJson(file);
+        return `blob container "${config.state.blob.container}" is reachable`;
+      });
+    } else {
+      await check('State directory', async () => {
+        await fs.promises.mkdir(config.state.dir, { recursive: true });
+        await fs.promises.access(config.state.dir, fs.constants.W_OK);
+        return `${config.state.dir} is writable`;
+      });
+    }
+
+    await check('Task mappings', async () => {
+      const data = await readJson(file);
+      if (!data) return 'none stored yet (first sync will bootstrap by title)';
+      return `${(data.mappings || []).length} stored in ${config.state.store === 'blob' ? `blob ${path.basename(file)}` : file}`;
+    });
+
+    for (const listPair of config.sync.pairs) {
+      await check(`Notion (${listPair.name})`, async () => {
+        const schema = await notionService.getSchema(sourceOf(listPair));
+        const problems = notionService.schemaProblems(schema, listPair);
+        if (problems.length > 0) throw new Error(problems.join('; '));
+        return `data source "${schema.name}" (${schema.id})`;
+      });
+    }
+
+    let taskLists = [];
+    const googleOk = await check('Google Tasks', async () => {
+      taskLists = await googleTasksService.getTaskLists();
+      return `${taskLists.length} task list(s) visible`;
+    });
+
+    if (googleOk) {
+      for (const listPair of config.sync.pairs) {
+        await check(`Google lists (${listPair.name})`, async () => {
+          const known = new Set(taskLists.map(list => list.id));
+          const missing = syncService.listPairTaskListIds(listPair).filter(id => id !== '@default' && !known.has(id));
+          if (missing.length > 0) throw new Error(`Unknown task list ID(s): ${missing.join(', ')}`);
+          return syncService.listPairTaskListIds(listPair).join(', ');
+        });
+      }
+    }
+  }
+
+  const text = checks.map(c => `${c.ok ? '✅' : '❌'} ${c.name}: ${c.detail}`);
+  return { ok: checks.every(c => c.ok), data: checks, text: text.join('\n') };
+}
+
+// Bearer token for the HTTP API, signed with AUTH_TOKEN_SECRET
+async function runToken(options) {
+  const { createToken } = require('./utils/apiAuth');
+  const expiresInSeconds = options.expires === '0' ? 0 : parseInt(options.expires) * DURATION_UNITS[options.expires.slice(-1)];
+  const token = createToken({ subject: options.name, scope: options.scope, expiresInSeconds });
+  const expiresAt = expiresInSeconds > 0 ? new Date(Date.now() + expiresInSeconds * 1000).toISOString() : null;
+  return {
+    ok: true,
+    data: { token, subject: options.name, scope: options.scope, expiresAt },
+    text: token
+  };
+}
+
+const HANDLERS = {
+  sync: runSync,
+  plan: runPlan,
+  status: runStatus,
+  'check-schema': runCheckSchema,
+  'list-tasks': runListTasks,
+  doctor: runDoctor,
+  revert: runRevert,
+  token: runToken
+};
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // The services print progress with console.log; keep stdout clean for JSON consumers
+  if (options.json) console.log = console.error;
+
+  try {
+    const result = await HANDLERS[options.command](options);
+    if (options.json) process.stdout.write(JSON.stringify(result.data, null, 2) + '\n');
+    else process.stdout.write(result.text + '\n');
+    return result.ok ? 0 : 1;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    if (options.json) process.stdout.write(JSON.stringify({ success: false, error: error.message }, null, 2) + '\n');
+    else console.error(`❌ ${options.command} failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
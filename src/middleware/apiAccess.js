@@ -0,0 +1,75 @@
+const config = require('../config');
+const { authenticate, allows } = require('../utils/apiAuth');
+const logger = require('../utils/logger');
+
+// Express middleware for the HTTP API: who is calling (API key or signed bearer token,
+// with read or trigger scope) and how often (fixed-window limits per client).
+
+// "Authorization: Bearer <key or token>", or "X-API-Key: <key or token>"
+function credentialOf(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  return req.get('X-API-Key') || null;
+}
+
+// Let the request through when its credential grants `scope`; sets req.client = { id, scope }
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!config.server.auth.enabled) {
+      req.client = { id: `ip:${req.ip}`, scope: 'trigger' };
+      return next();
+    }
+
+    const client = authenticate(credentialOf(req));
+    if (!client) {
+      logger.warn('API request rejected: missing or invalid credentials', { method: req.method, path: req.path, ip: req.ip });
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    if (!allows(client.scope, scope)) {
+      logger.warn('API request rejected: insufficient scope', { method: req.method, path: req.path, client: client.id, scope: client.scope, required: scope });
+      return res.status(403).json({ success: false, message: `This credential lacks the ${scope} scope` });
+    }
+
+    req.client = client;
+    next();
+  };
+}
+
+// client id + limit name → { count, resetAt }
+const windows = new Map();
+
+// At most config.server.rateLimit[name] requests per client per window (0 turns the limit off).
+// Runs after requireScope, so clients are told apart by their credential.
+function rateLimit(name) {
+  return (req, res, next) => {
+    const limit = config.server.rateLimit[name];
+    if (!limit) return next();
+
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+
+    const clientId = req.client ? req.client.id : `ip:${req.ip}`;
+    const key = `${clientId}|${name}`;
+    const window = windows.get(key) || { count: 0, resetAt: now + config.server.rateLimit.windowMs };
+    window.count++;
+    windows.set(key, window);
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+    if (window.count > limit) {
+      logger.warn('API request rate limited', { method: req.method, path: req.path, client: clientId, limit: name });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ success: false, message: `Too many requests; try again in ${resetSeconds} s` });
+    }
+    next();
+  };
+}
+
+module.exports = { requireScope, rateLimit };
@@ -0,0 +1,73 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+
+const FILE_VERSION = 1;
+
+// History of sync runs, stored as a local JSON file and pruned to the retention period.
+// Each record: { runId, trigger, startedAt, endedAt, durationMs, status: success|failed,
+//   counts: { created, updated, deleted, pairs }, failedPairs, errors: [{ pair?, message }],
+//   operations: [journal entry] }
+// Journal entry: { at, pair, type, field, target, title, notionId, googleId, listId,
+//   from, to, chars?, status: applied|skipped|failed, error? }
+class SyncRunStore {
+  constructor(filePath, retentionDays) {
+    this.filePath = filePath;
+    this.retentionDays = retentionDays;
+    this.runs = [];
+    this.loaded = false;
+  }
+
+  async load() {
+    try {
+      const data = await readJson(this.filePath, { runs: [] });
+      this.runs = Array.isArray(data.runs) ? data.runs : [];
+    } catch (error) {
+      logger.error('Error reading sync history; starting empty', { message: error.message, file: this.filePath });
+      this.runs = [];
+    }
+    this.loaded = true;
+  }
+
+  async save() {
+    this.prune();
+    await writeJsonAtomic(this.filePath, { version: FILE_VERSION, runs: this.runs });
+  }
+
+  // Drop runs that started before the retention period
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const before = this.runs.length;
+    this.runs = this.runs.filter(run => Date.parse(run.startedAt) >= cutoff);
+    if (this.runs.length < before) logger.debug('Sync history pruned', { removed: before - this.runs.length });
+  }
+
+  add(run) {
+    this.runs.push(run);
+    return run;
+  }
+
+  get(runId) {
+    return this.runs.find(run => run.runId === runId) || null;
+  }
+
+  // Runs newest first, without their journals. Filters: trigger, status, since/until
+  // (ISO times, on startedAt), taskId (a Notion or Google ID in the journal), limit.
+  list({ trigger, status, since, until, taskId, limit = 50 } = {}) {
+    const matches = this.runs.filter(run =>
+      (!trigger || run.trigger === trigger) &&
+      (!status || run.status === status) &&
+      (!since || run.startedAt >= since) &&
+      (!until || run.startedAt <= until) &&
+      (!taskId || run.operations.some(op => op.notionId === taskId || op.googleId === taskId))
+    );
+
+    return matches.reverse().slice(0, limit).map(({ operations, ...run }) => ({
+      ...run,
+      operationCount: operations.length
+    }));
+  }
+}
+
+module.exports = new SyncRunStore(path.join(config.state.dir, 'sync-runs.json'), config.sync.history.retentionDays);
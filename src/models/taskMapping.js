@@ -0,0 +1,139 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+
+const FILE_VERSION = 1;
+
+// Persistent Notion page ↔ Google task ID pairs, stored as a local JSON file.
+// Each record: { notionId, googleId, listId, pair, title, notionLastEdited, googleUpdated, lastSyncedAt }
+// plus { baseNotes } (the notes both sides last agreed on, the base for three-way merges)
+// plus { openStatus } (the Notion status the task last had while open, restored on reopen)
+// plus { missingSide, missingSince } while one side of the pair looks deleted.
+// Suppressions: { side, id, pair, since, revertRunId } for unpaired tasks whose copy a
+// revert removed; they are not created on the other side again until edited after `since`.
+class TaskMappingStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.mappings = [];
+    this.suppressions = [];
+    this.byNotionId = new Map();
+    this.byGoogleId = new Map();
+    this.loaded = false;
+  }
+
+  async load() {
+    try {
+      const data = await readJson(this.filePath, { mappings: [] });
+      this.mappings = Array.isArray(data.mappings) ? data.mappings : [];
+      this.suppressions = Array.isArray(data.suppressions) ? data.suppressions : [];
+    } catch (error) {
+      logger.error('Error reading task mappings; starting empty', { message: error.message, file: this.filePath });
+      this.mappings = [];
+      this.suppressions = [];
+    }
+    this.reindex();
+    this.loaded = true;
+    logger.debug('Task mappings loaded', { count: this.mappings.length });
+  }
+
+  async save() {
+    await writeJsonAtomic(this.filePath, { version: FILE_VERSION, mappings: this.mappings, suppressions: this.suppressions });
+    logger.debug('Task mappings saved', { count: this.mappings.length });
+  }
+
+  reindex() {
+    this.byNotionId = new Map(this.mappings.map(m => [m.notionId, m]));
+    this.byGoogleId = new Map(this.mappings.map(m => [m.googleId, m]));
+  }
+
+  all() {
+    return this.mappings.slice();
+  }
+
+  findByNotionId(notionId) {
+    return this.byNotionId.get(notionId) || null;
+  }
+
+  findByGoogleId(googleId) {
+    return this.byGoogleId.get(googleId) || null;
+  }
+
+  // Pair a Notion page with a Google task. Any existing record that references
+  // either ID is replaced, so each task belongs to at most one pair.
+  link({ notionId, googleId, listId, pair, title, notionLastEdited, googleUpdated, baseNotes }) {
+    const stale = [this.findByNotionId(notionId), this.findByGoogleId(googleId)].filter(Boolean);
+    if (stale.length > 0) {
+      this.mappings = this.mappings.filter(m => !stale.includes(m));
+    }
+
+    const mapping = {
+      notionId,
+      googleId,
+      listId,
+      pair: pair || null,
+      title: title || '',
+      notionLastEdited: notionLastEdited || null,
+      googleUpdated: googleUpdated || null,
+      lastSyncedAt: new Date().toISOString()
+    };
+    if (baseNotes !== undefined) mapping.baseNotes = baseNotes;
+
+    this.mappings.push(mapping);
+    this.reindex();
+    // A paired task is no longer held back from creates
+    this.suppressions = this.suppressions.filter(s => !(s.side === 'notion' && s.id === notionId) && !(s.side === 'google' && s.id === googleId));
+    return mapping;
+  }
+
+  // Keep the unpaired task `id` on `side` from being created on the other side again
+  suppressCreate(side, id, { pair, revertRunId } = {}) {
+    this.suppressions = this.suppressions.filter(s => !(s.side === side && s.id === id));
+    this.suppressions.push({ side, id, pair: pair || null, since: new Date().toISOString(), revertRunId: revertRunId || null });
+  }
+
+  findSuppression(side, id) {
+    return this.suppressions.find(s => s.side === side && s.id === id) || null;
+  }
+
+  // Record the timestamps both sides had after a sync touched the pair
+  touch(mapping, { title, notionLastEdited, googleUpdated, baseNotes, openStatus } = {}) {
+    if (title !== undefined) mapping.title = title;
+    if (openStatus !== undefined) mapping.openStatus = openStatus;
+    if (baseNotes !== undefined) mapping.baseNotes = baseNotes;
+    if (notionLastEdited !== undefined) mapping.notionLastEdited = notionLastEdited;
+    if (googleUpdated !== undefined) mapping.googleUpdated = googleUpdated;
+    mapping.lastSyncedAt = new Date().toISOString();
+    return mapping;
+  }
+
+  // The Google task of a pair moved to another list (and got a new ID); everything else is kept
+  relocate(mapping, { googleId, listId }) {
+    mapping.googleId = googleId;
+    mapping.listId = listId;
+    this.reindex();
+    return mapping;
+  }
+
+  // Start (or keep) the deletion grace period for one side of a pair
+  markMissing(mapping, side) {
+    if (mapping.missingSide !== side || !mapping.missingSince) {
+      mapping.missingSide = side;
+      mapping.missingSince = new Date().toISOString();
+    }
+    return mapping;
+  }
+
+  clearMissing(mapping) {
+    delete mapping.missingSide;
+    delete mapping.missingSince;
+    return mapping;
+  }
+
+  remove(mapping) {
+    this.mappings = this.mappings.filter(m => m !== mapping);
+    this.reindex();
+  }
+}
+
+module.exports = new TaskMappingStore(path.join(config.state.dir, 'task-mappings.json'));
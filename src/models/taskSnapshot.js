@@ -0,0 +1,87 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJsonAtomic } = require('../utils/jsonFile');
+
+const FILE_VERSION = 1;
+
+// Cached task lists per source (a Notion data source or a Google task list), so an
+// incremental fetch of changed tasks can be merged back into a full view.
+// Each entry: { watermark, lastFullSweep, tasks: { [id]: task } }
+class TaskSnapshotStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.sources = {};
+    this.loaded = false;
+  }
+
+  async load() {
+    try {
+      const data = await readJson(this.filePath, { sources: {} });
+      this.sources = data.sources && typeof data.sources === 'object' ? data.sources : {};
+    } catch (error) {
+      logger.error('Error reading task snapshots; next fetches are full sweeps', { message: error.message, file: this.filePath });
+      this.sources = {};
+    }
+    this.loaded = true;
+  }
+
+  async save() {
+    await writeJsonAtomic(this.filePath, { version: FILE_VERSION, sources: this.sources });
+  }
+
+  get(key) {
+    return this.sources[key] || null;
+  }
+
+  // Per-source watermark, last full sweep and cached task count
+  summary() {
+    return Object.fromEntries(Object.entries(this.sources).map(([key, entry]) => [key, {
+      watermark: entry.watermark || null,
+      lastFullSweep: entry.lastFullSweep || null,
+      tasks: Object.keys(entry.tasks || {}).length
+    }]));
+  }
+
+  // True when the source has no snapshot yet or its last full sweep is older than maxAgeMs
+  isFullSweepDue(key, maxAgeMs) {
+    const entry = this.get(key);
+    if (!entry || !entry.lastFullSweep || !entry.watermark) return true;
+    return Date.now() - Date.parse(entry.lastFullSweep) >= maxAgeMs;
+  }
+
+  // Make the next fetch of every source a full sweep (e.g. for a scheduled full sync)
+  requireFullSweep() {
+    for (const entry of Object.values(this.sources)) entry.lastFullSweep = null;
+  }
+
+  // Full sweep: the fetched tasks become the whole snapshot
+  replace(key, tasks, fetchedAt) {
+    this.sources[key] = {
+      watermark: fetchedAt,
+      lastFullSweep: fetchedAt,
+      tasks: Object.fromEntries(tasks.map(task => [task.id, task]))
+    };
+    return tasks;
+  }
+
+  // Drop one task from a cached source (e.g. after moving it to another list)
+  forget(key, id) {
+    const entry = this.sources[key];
+    if (entry) delete entry.tasks[id];
+  }
+
+  // Incremental fetch: overlay changed tasks, drop removed ones, advance the watermark
+  // (kept as is without fetchedAt, e.g. for a few pages read directly). Returns the full merged task list.
+  merge(key, changedTasks, fetchedAt, removedIds = []) {
+    const entry = this.sources[key];
+    for (const task of changedTasks) entry.tasks[task.id] = task;
+    for (const id of removedIds) delete entry.tasks[id];
+    if (fetchedAt) entry.watermark = fetchedAt;
+
+    logger.debug('Incremental fetch merged into snapshot', { key, changed: changedTasks.length, removed: removedIds.length });
+    return Object.values(entry.tasks);
+  }
+}
+
+module.exports = new TaskSnapshotStore(path.join(config.state.dir, 'task-snapshots.json'));
@@ -1,6 +1,8 @@
 const { google } = require('googleapis');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { RequestLayer } = require('../utils/requestLayer');
+const { splitNotesFooter } = require('../utils/notesFooter');
 
 class GoogleTasksService {
   constructor() {
@@ -14,29 +16,33 @@ class GoogleTasksService {
       refresh_token: config.google.refreshToken
     });
 
-    this.tasks = google.tasks({ version: 'v1', auth: this.oauth2Client });
+    // Retries are left to the request layer (googleapis would otherwise retry on its own)
+    this.tasks = google.tasks({ version: 'v1', auth: this.oauth2Client, retry: false });
+    this.requests = new RequestLayer('Google Tasks', { ...config.api.google, api: 'google' });
     this.taskListId = config.google.taskListId;
-
-    // Recent window setting (days); can be overridden by ENV (e.g., 7)
-    this.recentDays = Number(process.env.RECENT_DAYS || 7);
   }
 
-  // Full, paginated fetch of all tasks (completed + hidden), sorted by updated desc.
-  async getTasks() {
+  // Paginated fetch of all tasks (completed + hidden), sorted by updated desc.
+  // `updatedMin` (ISO time) asks the API for tasks updated since then only, deleted
+  // ones included as tombstones (`deleted: true`).
+  async getTasks(taskListId = this.taskListId, { updatedMin } = {}) {
     try {
       let pageToken = undefined;
       const allItems = [];
       let page = 0;
 
       do {
-        const response = await this.tasks.tasks.list({
-          tasklist: this.taskListId,
+        const params = {
+          tasklist: taskListId,
           showCompleted: true,
-          showDeleted: false,
+          showDeleted: Boolean(updatedMin),
           showHidden: true, // include hidden completed tasks
           maxResults: 100,
           pageToken
-        });
+        };
+        if (updatedMin) params.updatedMin = updatedMin;
+
+        const response = await this.requests.run('tasks.list', () => this.tasks.tasks.list(params));
 
         const items = response.data.items || [];
         allItems.push(...items);
@@ -54,8 +60,8 @@ class GoogleTasksService {
       // Sort by updated desc for predictability
       allItems.sort((a, b) => new Date(b.updated) - new Date(a.updated));
 
-      const formatted = allItems.map(task => this.formatGoogleTask(task));
-      logger.debug('Google tasks fetched (all pages)', { count: formatted.length });
+      const formatted = allItems.map(task => this.formatGoogleTask(task, taskListId));
+      logger.debug('Google tasks fetched (all pages)', { taskListId, count: formatted.length, updatedMin: updatedMin || null });
       return formatted;
     } catch (error) {
       logger.error('Error fetching Google Tasks', { message: error.message });
@@ -63,34 +69,58 @@ class GoogleTasksService {
     }
   }
 
-  // Faster fetch: last N days by updated OR any active (needsAction) tasks.
-  async getTasksRecent(days = this.recentDays) {
-    const all = await this.getTasks();
-    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
-    const recentOrActive = all.filter(t => {
-      const updatedMs = t.lastModified ? Date.parse(t.lastModified) : 0;
-      const isRecent = updatedMs >= cutoff;
-      const isActive = !t.completed;
-      return isRecent || isActive;
-    });
-    logger.debug('Google tasks filtered (recent window + active)', {
-      days,
-      total: all.length,
-      returned: recentOrActive.length
-    });
-    return recentOrActive;
+  // All task lists of the account: [{ id, title, updated }]
+  async getTaskLists() {
+    try {
+      let pageToken = undefined;
+      const lists = [];
+      do {
+        const response = await this.requests.run('tasklists.list', () => this.tasks.tasklists.list({ maxResults: 100, pageToken }));
+        lists.push(...(response.data.items || []));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return lists.map(list => ({ id: list.id, title: list.title, updated: list.updated }));
+    } catch (error) {
+      logger.error('Error fetching Google task lists', { message: error.message });
+      throw error;
+    }
+  }
+
+  // Fetch a single task (deleted ones included); null if it no longer exists
+  async getTask(taskId, taskListId = this.taskListId) {
+    try {
+      const response = await this.requests.run('tasks.get', () => this.tasks.tasks.get({
+        tasklist: taskListId,
+        task: taskId
+      }));
+      return this.formatGoogleTask(response.data, taskListId);
+    } catch (error) {
+      if (error.code === 404 || error.response?.status === 404) return null;
+      logger.error('Error fetching Google Task', { message: error.message, taskId });
+      throw error;
+    }
   }
 
-  formatGoogleTask(task) {
+  formatGoogleTask(task, taskListId = this.taskListId) {
     // status: 'completed' | 'needsAction'
     const completed = task.status === 'completed';
+    // The Notion link footer is not part of the notes
+    const { notes, notionUrl } = splitNotesFooter(task.notes);
 
     const formatted = {
       id: task.id,
       title: task.title || '',
       completed,
       due: task.due ? new Date(task.due).toISOString().split('T')[0] : null,
-      notes: task.notes || '',
+      notes,
+      notionUrl,
+      webViewLink: task.webViewLink || null,
+      deleted: Boolean(task.deleted),
+      listId: taskListId,
+      // Subtask hierarchy: parent task ID (null for top-level) and sort position among siblings
+      parent: task.parent || null,
+      position: task.position || null,
       lastModified: task.updated,
       created: task.updated
     };
@@ -99,7 +129,7 @@ class GoogleTasksService {
     return formatted;
   }
 
-  async createTask(taskData) {
+  async createTask(taskData, taskListId = this.taskListId) {
     try {
       const task = {
         title: taskData.title,
@@ -111,25 +141,26 @@ class GoogleTasksService {
         task.due = new Date(taskData.due).toISOString();
       }
 
-      const response = await this.tasks.tasks.insert({
-        tasklist: this.taskListId,
+      const response = await this.requests.run('tasks.insert', () => this.tasks.tasks.insert({
+        tasklist: taskListId,
+        parent: taskData.parent || undefined,
         resource: task
-      });
+      }), { idempotent: false });
 
-      logger.info('Google task created', { title: taskData.title, completed: taskData.completed });
-      return this.formatGoogleTask(response.data);
+      logger.info('Google task created', { title: taskData.title, completed: taskData.completed, taskListId, parent: taskData.parent || null });
+      return this.formatGoogleTask(response.data, taskListId);
     } catch (error) {
       logger.error('Error creating Google Task', { message: error.message });
       throw error;
     }
   }
 
-  async updateTask(taskId, updates) {
+  async updateTask(taskId, updates, taskListId = this.taskListId) {
     try {
-      const current = await this.tasks.tasks.get({
-        tasklist: this.taskListId,
+      const current = await this.requests.run('tasks.get', () => this.tasks.tasks.get({
+        tasklist: taskListId,
         task: taskId
-      });
+      }));
 
       const resource = {
         id: taskId,
@@ -143,26 +174,58 @@ class GoogleTasksService {
           : current.data.due
       };
 
-      const resp = await this.tasks.tasks.update({
-        tasklist: this.taskListId,
+      const resp = await this.requests.run('tasks.update', () => this.tasks.tasks.update({
+        tasklist: taskListId,
         task: taskId,
         resource
-      });
+      }));
 
       logger.info('Google task updated', { id: taskId, fields: Object.keys(updates) });
-      return this.formatGoogleTask(resp.data);
+      return this.formatGoogleTask(resp.data, taskListId);
     } catch (error) {
       logger.error('Error updating Google Task', { message: error.message, taskId });
       throw error;
     }
   }
 
-  async deleteTask(taskId) {
+  // Move a task to another task list (keeps title, notes, status and due)
+  async moveTask(taskId, fromListId, toListId) {
+    try {
+      const response = await this.requests.run('tasks.move', () => this.tasks.tasks.move({
+        tasklist: fromListId,
+        task: taskId,
+        destinationTasklist: toListId
+      }));
+      logger.info('Google task moved', { id: taskId, fromListId, toListId });
+      return this.formatGoogleTask(response.data, toListId);
+    } catch (error) {
+      logger.error('Error moving Google Task', { message: error.message, taskId, fromListId, toListId });
+      throw error;
+    }
+  }
+
+  // Re-parent a task within its list; a null parent makes it a top-level task
+  async setParent(taskId, parentId, taskListId = this.taskListId) {
+    try {
+      const response = await this.requests.run('tasks.move', () => this.tasks.tasks.move({
+        tasklist: taskListId,
+        task: taskId,
+        parent: parentId || undefined
+      }));
+      logger.info('Google task re-parented', { id: taskId, parent: parentId || null });
+      return this.formatGoogleTask(response.data, taskListId);
+    } catch (error) {
+      logger.error('Error re-parenting Google Task', { message: error.message, taskId, parentId });
+      throw error;
+    }
+  }
+
+  async deleteTask(taskId, taskListId = this.taskListId) {
     try {
-      await this.tasks.tasks.delete({
-        tasklist: this.taskListId,
+      await this.requests.run('tasks.delete', () => this.tasks.tasks.delete({
+        tasklist: taskListId,
         task: taskId
-      });
+      }));
       logger.info('Google task deleted', { id: taskId });
       return true;
     } catch (error) {
@@ -1,6 +1,15 @@
 const { Client } = require('@notionhq/client');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { RequestLayer } = require('../utils/requestLayer');
+const { TEXT_BLOCK_TYPES, blocksToMarkdown, markdownToBlocks } = require('../utils/markdown');
+const { matchLines } = require('../utils/merge');
+
+// How long property types and status options/groups read from a data source schema are reused
+const SCHEMA_INFO_TTL_MS = 10 * 60 * 1000;
+
+// Notion IDs appear with and without dashes
+const idKey = id => (id || '').replace(/-/g, '').toLowerCase();
 
 class NotionService {
     constructor() {
@@ -8,72 +17,257 @@ class NotionService {
             auth: config.notion.token,
             notionVersion: config.notion.apiVersion
         });
+        // Every API call goes through here: rate limit, Retry-After and backoff retries
+        this.requests = new RequestLayer('Notion', config.api.notion);
         this.databaseId = config.notion.databaseId;
-        this.dataSourceId = null;
-        this.MAX_RICH_TEXT_LENGTH = 1990;
+        const defaultPair = config.sync.pairs.find(pair => pair.databaseId === this.databaseId);
+        this.dataSourceId = defaultPair?.dataSourceId || null;
+        this.dataSourceIds = new Map(); // databaseId → resolved data source ID
+        this.schemaInfo = new Map(); // data source ID → { propertyTypes, options, complete, loadedAt }
     }
 
-    async initialize() {
-        const database = await this.notion.databases.retrieve({
-            database_id: this.databaseId
-        });
+    // Property mapping of the pair a database/data source (or page parent) belongs to
+    propertyMapFor(ref = {}) {
+        const sameId = (a, b) => Boolean(a && b) && idKey(a) === idKey(b);
+        const pair = config.sync.pairs.find(listPair =>
+            sameId(listPair.databaseId, ref.databaseId) ||
+            sameId(listPair.dataSourceId || this.dataSourceIds.get(listPair.databaseId), ref.dataSourceId)
+        );
+        return pair?.properties || config.notion.properties;
+    }
+
+    parentOf(page) {
+        return { databaseId: page.parent?.database_id || null, dataSourceId: page.parent?.data_source_id || null };
+    }
+
+    // Read property types plus the options and Complete group of the completion
+    // property from the data source schema (cached)
+    async loadSchemaInfo(dataSourceId, propertyMap) {
+        if (!dataSourceId) return null;
+        const cached = this.schemaInfo.get(idKey(dataSourceId));
+        if (cached && Date.now() - cached.loadedAt < SCHEMA_INFO_TTL_MS) return cached;
+
+        try {
+            const schema = await this.getSchema({ dataSourceId });
+            const prop = schema.properties[propertyMap.completion.property];
+            const info = {
+                propertyTypes: Object.fromEntries(Object.entries(schema.properties).map(([name, p]) => [name, p.type])),
+                options: prop?.options || [],
+                complete: prop?.groups?.Complete || [],
+                loadedAt: Date.now()
+            };
+            this.schemaInfo.set(idKey(dataSourceId), info);
+            logger.debug('Notion schema info loaded', { dataSourceId, complete: info.complete });
+            return info;
+        } catch (error) {
+            // Fall back to the configured done values until the schema can be read
+            logger.warn('Could not read Notion data source schema', { message: error.message, dataSourceId });
+            return cached || null;
+        }
+    }
+
+    // True when the data source has the mapped "Parent item" relation (sub-items enabled)
+    async hasParentProperty(source) {
+        const propertyMap = this.propertyMapFor(source);
+        if (!propertyMap.parent) return false;
+        const dataSourceId = await this.initialize(source);
+        const info = await this.loadSchemaInfo(dataSourceId, propertyMap);
+        return info?.propertyTypes[propertyMap.parent] === 'relation';
+    }
+
+    // Configured done values plus every option in the status property's Complete group
+    doneValuesFor(propertyMap, dataSourceId) {
+        const info = this.schemaInfo.get(idKey(dataSourceId));
+        const { type, doneValues } = propertyMap.completion;
+        if (type !== 'status' || !info) return doneValues;
+        return [...new Set([...doneValues, ...info.complete])];
+    }
+
+    isDoneValue(value, propertyMap, dataSourceId) {
+        if (propertyMap.completion.type === 'checkbox') return value === true;
+        return this.doneValuesFor(propertyMap, dataSourceId).includes(value);
+    }
+
+    // Property payload for a completion change. Completing keeps a value that is already done;
+    // reopening keeps a non-done value (e.g. "In Progress"), otherwise restores `previousValue`
+    // (the status the task had before it was completed) or falls back to the reopen value.
+    completionProperty(completed, currentValue, propertyMap, { dataSourceId, previousValue } = {}) {
+        const { type, doneValues, reopenValue } = propertyMap.completion;
+        if (type === 'checkbox') return { checkbox: completed };
+
+        const isDone = value => this.isDoneValue(value, propertyMap, dataSourceId);
+        const info = this.schemaInfo.get(idKey(dataSourceId));
+        const exists = value => type !== 'status' || !info || info.options.includes(value);
+
+        let name;
+        if (completed) {
+            name = isDone(currentValue) ? currentValue : doneValues[0];
+        } else if (currentValue && !isDone(currentValue)) {
+            name = currentValue;
+        } else {
+            name = previousValue && !isDone(previousValue) && exists(previousValue) ? previousValue : reopenValue;
+        }
+        return { [type]: { name } };
+    }
+
+    // Paired Google task stored on a page: { type, value }, or undefined without a link property
+    googleLinkOf(prop) {
+        if (prop?.type === 'url') return { type: 'url', value: prop.url || null };
+        if (prop?.type === 'rich_text') return { type: 'rich_text', value: prop.rich_text.map(rt => rt.plain_text).join('') || null };
+        return undefined;
+    }
+
+    // What the link property holds for a Google task: its web link (URL property) or its ID (text property)
+    googleLinkValue(type, googleTask) {
+        return type === 'url' ? googleTask.webViewLink || null : googleTask.id;
+    }
+
+    // Property payload linking a page to its Google task; null when the pair has no usable link property
+    googleLinkProperty(googleTask, propertyMap, dataSourceId) {
+        const type = this.schemaInfo.get(idKey(dataSourceId))?.propertyTypes[propertyMap.googleLink];
+        if (!propertyMap.googleLink || !['url', 'rich_text'].includes(type)) return null;
+        const value = this.googleLinkValue(type, googleTask);
+        return type === 'url' ? { url: value } : { rich_text: value ? [{ text: { content: value } }] : [] };
+    }
+
+    completionValue(properties, propertyMap) {
+        const { property, type } = propertyMap.completion;
+        const prop = properties[property];
+        return type === 'checkbox' ? Boolean(prop?.checkbox) : prop?.[type]?.name || null;
+    }
+
+    // The database (and optional data source) used when no sync pair is given
+    get defaultSource() {
+        return { databaseId: this.databaseId, dataSourceId: this.dataSourceId };
+    }
+
+    // Resolve the data source to query for a pair: the configured one, else the database's first
+    async initialize(source = this.defaultSource) {
+        if (source.dataSourceId) return source.dataSourceId;
+        if (this.dataSourceIds.has(source.databaseId)) return this.dataSourceIds.get(source.databaseId);
+
+        const database = await this.requests.run('databases.retrieve', () => this.notion.databases.retrieve({
+            database_id: source.databaseId
+        }));
 
         if (database.data_sources && database.data_sources.length > 0) {
-            this.dataSourceId = database.data_sources[0].id;
-            logger.debug('Using Notion data source', { name: database.data_sources[0].name, id: this.dataSourceId });
+            const dataSourceId = database.data_sources[0].id;
+            this.dataSourceIds.set(source.databaseId, dataSourceId);
+            if (source.databaseId === this.databaseId) this.dataSourceId = dataSourceId;
+            logger.debug('Using Notion data source', { name: database.data_sources[0].name, id: dataSourceId });
+            return dataSourceId;
         } else {
             throw new Error('No data sources found in database');
         }
     }
 
-    async getTasks() {
-        try {
-            if (!this.dataSourceId) {
-                await this.initialize();
+    // Property schema of a pair's data source: { id, name, properties: { [name]: { type, options } } }
+    async getSchema(source = this.defaultSource) {
+        const dataSourceId = await this.initialize(source);
+        const dataSource = await this.requests.run('dataSources.retrieve', () => this.notion.request({
+            path: `data_sources/${dataSourceId}`,
+            method: 'GET'
+        }));
+
+        const properties = {};
+        for (const [name, prop] of Object.entries(dataSource.properties || {})) {
+            const options = prop[prop.type]?.options;
+            properties[name] = { type: prop.type, options: options ? options.map(option => option.name) : undefined };
+
+            // Status groups (To-do / In progress / Complete) as group name → option names
+            if (prop.type === 'status' && prop.status.groups) {
+                const optionNames = new Map(options.map(option => [option.id, option.name]));
+                properties[name].groups = Object.fromEntries(prop.status.groups.map(group => [
+                    group.name,
+                    (group.option_ids || []).map(id => optionNames.get(id)).filter(Boolean)
+                ]));
             }
+        }
 
-            const response = await this.notion.request({
-                path: `data_sources/${this.dataSourceId}/query`,
-                method: 'POST',
-                body: {
-                    sorts: [{
-                        property: 'Name',
-                        direction: 'descending'
-                    }],
-                    page_size: 100
+        return {
+            id: dataSourceId,
+            name: dataSource.title?.[0]?.plain_text || dataSource.name || '',
+            properties
+        };
+    }
+
+    // Problems with a schema for syncing a pair: missing properties, wrong types, missing options
+    schemaProblems(schema, listPair) {
+        const { title, due, completion, googleLink } = listPair?.properties || config.notion.properties;
+        const expected = [
+            { name: title, type: 'title' },
+            {
+                name: completion.property,
+                type: completion.type,
+                // Only the values the sync writes; other done values may be absent (or come from the Complete group)
+                options: completion.type === 'checkbox' ? [] : [completion.reopenValue, completion.doneValues[0]]
+            },
+            { name: due, type: 'date' }
+        ];
+        if (listPair?.routing) {
+            expected.push({ name: listPair.routing.property, type: 'select', options: Object.keys(listPair.routing.lists) });
+        }
+
+        const problems = [];
+        for (const { name, type, options } of expected) {
+            const prop = schema.properties[name];
+            if (!prop) {
+                problems.push(`Missing property "${name}" (${type})`);
+            } else if (prop.type !== type) {
+                problems.push(`Property "${name}" is ${prop.type}, expected ${type}`);
+            } else {
+                for (const option of options || []) {
+                    if (!prop.options?.includes(option)) problems.push(`Property "${name}" has no option "${option}"`);
                 }
+            }
+        }
+
+        // The Google link property may be a URL (web link) or text (task ID)
+        const linkProp = googleLink && schema.properties[googleLink];
+        if (googleLink && !linkProp) {
+            problems.push(`Missing property "${googleLink}" (url or rich_text)`);
+        } else if (linkProp && !['url', 'rich_text'].includes(linkProp.type)) {
+            problems.push(`Property "${googleLink}" is ${linkProp.type}, expected url or rich_text`);
+        }
+        return problems;
+    }
+
+    // All pages of a data source, following next_cursor. `editedAfter` (ISO time)
+    // limits the query to pages whose last_edited_time is on or after it.
+    async getTasks(source = this.defaultSource, { editedAfter } = {}) {
+        try {
+            const dataSourceId = await this.initialize(source);
+            const propertyMap = this.propertyMapFor(source);
+            await this.loadSchemaInfo(dataSourceId, propertyMap);
+
+            const results = await this.queryPages(dataSourceId, {
+                sorts: [{
+                    property: propertyMap.title,
+                    direction: 'descending'
+                }],
+                ...this.editedAfterFilter(editedAfter)
             });
 
             const tasksWithContent = [];
             const batchSize = 12;
 
-            for (let i = 0; i < response.results.length; i += batchSize) {
-                const batch = response.results.slice(i, i + batchSize);
+            for (let i = 0; i < results.length; i += batchSize) {
+                const batch = results.slice(i, i + batchSize);
 
                 const batchTasks = await Promise.all(
                     batch.map(async (page) => {
-                        const task = this.formatNotionTask(page);
-                        try {
-                            const comments = await this.getPageCommentsWithRetry(page.id);
-                            task.comments = comments;
-                            task.notes = comments;
-                            return task;
-                        } catch {
-                            task.comments = '';
-                            task.notes = '';
-                            return task;
-                        }
+                        const task = this.formatNotionTask(page, propertyMap, dataSourceId);
+                        const comments = await this.getPageComments(page.id);
+                        task.comments = comments;
+                        task.notes = comments;
+                        return task;
                     })
                 );
 
                 tasksWithContent.push(...batchTasks);
-
-                if (i + batchSize < response.results.length) {
-                    await this.delay(350);
-                }
             }
 
-            logger.debug('Notion tasks fetched', { count: tasksWithContent.length });
+            logger.debug('Notion tasks fetched', { count: tasksWithContent.length, editedAfter: editedAfter || null });
             return tasksWithContent;
         } catch (error) {
             logger.error('Error fetching Notion tasks', { message: error.message });
@@ -81,182 +275,240 @@ class NotionService {
         }
     }
 
-    async getPageCommentsWithRetry(pageId, maxRetries = 2) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                return await this.getPageComments(pageId);
-            } catch (error) {
-                logger.warn('Get comments attempt failed', { attempt, maxRetries, message: error.message });
-                if (attempt === maxRetries) {
-                    logger.error('All comment attempts failed; returning empty', { pageId });
-                    return '';
-                }
-                const delay = attempt * 400;
-                await this.delay(delay);
-            }
+    // IDs of the data source's pages in the trash, which getTasks never returns. With
+    // `editedAfter`, only pages trashed (or edited while in the trash) since then.
+    async getTrashedPageIds(source = this.defaultSource, { editedAfter } = {}) {
+        try {
+            const dataSourceId = await this.initialize(source);
+            const results = await this.queryPages(dataSourceId, { in_trash: true, ...this.editedAfterFilter(editedAfter) });
+            return results.map(page => page.id);
+        } catch (error) {
+            logger.error('Error fetching trashed Notion pages', { message: error.message });
+            throw error;
         }
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    editedAfterFilter(editedAfter) {
+        return editedAfter ? { filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: editedAfter } } } : {};
     }
 
+    // Every result of a data source query, following next_cursor
+    async queryPages(dataSourceId, body) {
+        const results = [];
+        let cursor = undefined;
+        do {
+            const response = await this.requests.run('dataSources.query', () => this.notion.request({
+                path: `data_sources/${dataSourceId}/query`,
+                method: 'POST',
+                body: { ...body, page_size: 100, ...(cursor ? { start_cursor: cursor } : {}) }
+            }));
+            results.push(...response.results);
+            cursor = response.has_more ? response.next_cursor : undefined;
+        } while (cursor);
+        return results;
+    }
+
+    // Throws when the blocks cannot be read: empty notes would read as all notes deleted
     async getPageComments(pageId) {
         try {
-            return await this.getAllBlocksRecursively(pageId, 0);
+            return blocksToMarkdown(await this.getBlockTree(pageId));
         } catch (error) {
             logger.error('Error getting page comments', { message: error.message, pageId });
-            return '';
+            throw error;
         }
     }
 
-    async getAllBlocksRecursively(blockId, depth = 0) {
-        try {
-            const blocks = await this.notion.blocks.children.list({
-                block_id: blockId,
-                page_size: 100
-            });
+    // Child blocks of a page or block, with each text block's nested blocks in `children`.
+    // Other block types are not expanded; the notes never show or rewrite them.
+    async getBlockTree(blockId) {
+        const blocks = await this.listChildBlocks(blockId);
+        for (const block of blocks) {
+            if (block.has_children && this.isTextBlock(block)) {
+                block.children = await this.getBlockTree(block.id);
+            }
+        }
+        return blocks;
+    }
 
-            let comments = [];
-            const indent = '  '.repeat(depth);
-
-            for (const block of blocks.results) {
-                let blockText = '';
-
-                if (block.type === 'to_do') {
-                    const text = block.to_do.rich_text.map(rt => rt.plain_text).join('');
-                    const checked = block.to_do.checked;
-                    blockText = `${indent}${checked ? '[x]' : '[ ]'} ${text}`;
-                } else if (block.type === 'paragraph') {
-                    const text = block.paragraph.rich_text.map(rt => rt.plain_text).join('');
-                    if (text.trim()) blockText = `${indent}${text}`;
-                } else if (block.type === 'bulleted_list_item') {
-                    const text = block.bulleted_list_item.rich_text.map(rt => rt.plain_text).join('');
-                    if (text.trim()) blockText = `${indent}• ${text}`;
-                } else if (block.type === 'numbered_list_item') {
-                    const text = block.numbered_list_item.rich_text.map(rt => rt.plain_text).join('');
-                    if (text.trim()) blockText = `${indent}1. ${text}`;
-                } else if (block.type === 'heading_1') {
-                    const text = block.heading_1.rich_text.map(rt => rt.plain_text).join('');
-                    if (text.trim()) blockText = `${indent}# ${text}`;
-                } else if (block.type === 'heading_2') {
-                    const text = block.heading_2.rich_text.map(rt => rt.plain_text).join('');
-                    if (text.trim()) blockText = `${indent}## ${text}`;
-                } else if (block.type === 'heading_3') {
-                    const text = block.heading_3.rich_text.map(rt => rt.plain_text).join('');
-                    if (text.trim()) blockText = `${indent}### ${text}`;
-                }
+    // Block types the Markdown notes format can represent; anything else (images,
+    // callouts, embeds, ...) is left untouched when notes are rewritten.
+    isTextBlock(block) {
+        return TEXT_BLOCK_TYPES.includes(block.type);
+    }
 
-                if (blockText) comments.push(blockText);
+    // An empty paragraph: spacing only, the notes show nothing for it
+    isSpacer(block) {
+        return block.type === 'paragraph' && !(block.children || []).length &&
+            !(block.paragraph?.rich_text || []).some(rt => (rt.plain_text ?? rt.text?.content ?? '').trim());
+    }
 
-                if (block.has_children) {
-                    const childComments = await this.getAllBlocksRecursively(block.id, depth + 1);
-                    if (childComments.trim()) comments.push(childComments);
-                }
-            }
+    // True when a block tree nests anything the notes format does not represent
+    hasNonTextDescendants(block) {
+        return (block.children || []).some(child => !this.isTextBlock(child) || this.hasNonTextDescendants(child));
+    }
 
-            return comments.join('\n');
-        } catch (error) {
-            logger.error('Error getting blocks at depth', { message: error.message, depth });
-            return '';
+    // All children of a block, following pagination
+    async listChildBlocks(blockId) {
+        const results = [];
+        let cursor = undefined;
+        do {
+            const response = await this.requests.run('blocks.children.list', () => this.notion.blocks.children.list({
+                block_id: blockId,
+                page_size: 100,
+                start_cursor: cursor
+            }));
+            results.push(...response.results);
+            cursor = response.has_more ? response.next_cursor : undefined;
+        } while (cursor);
+        return results;
+    }
+
+    // Append blocks (and, one level at a time, their nested blocks) under parentId,
+    // after the given block or at the end. Returns the ID of the last block appended.
+    async appendBlocks(parentId, blocks, after) {
+        let anchor = after;
+        for (let i = 0; i < blocks.length; i += 100) {
+            const chunk = blocks.slice(i, i + 100);
+            const response = await this.requests.run('blocks.children.append', () => this.notion.blocks.children.append({
+                block_id: parentId,
+                children: chunk.map(({ children, ...block }) => block),
+                ...(anchor ? { after: anchor } : {})
+            }), { idempotent: false });
+
+            // The response lists the newly created blocks in order
+            const created = response.results.slice(-chunk.length);
+            for (let j = 0; j < chunk.length; j++) {
+                if (chunk[j].children && created[j]) await this.appendBlocks(created[j].id, chunk[j].children);
+            }
+            anchor = created[created.length - 1]?.id || anchor;
         }
+        return anchor;
     }
 
+    // Rewrite the page's text blocks to match the Markdown in commentsText.
+    // Top-level blocks whose Markdown is unchanged are kept as they are (keeping
+    // colours, mentions and anything else Markdown drops); the rest are inserted
+    // or deleted around them. Non-text blocks stay in place. Returns false (page
+    // untouched) when a block that would be deleted nests non-text content.
     async updatePageComments(pageId, commentsText) {
         try {
-            const blocks = await this.notion.blocks.children.list({
-                block_id: pageId,
-                page_size: 50
+            const blocks = await this.getBlockTree(pageId);
+            // Empty paragraphs are spacing the notes text cannot express, so they are never touched
+            const oldBlocks = blocks.filter(block => this.isTextBlock(block) && !this.isSpacer(block));
+            const newBlocks = commentsText && commentsText.trim() ? markdownToBlocks(commentsText) : [];
+
+            const matches = matchLines(
+                oldBlocks.map(block => blocksToMarkdown([block])),
+                newBlocks.map(block => blocksToMarkdown([block]))
+            );
+
+            // New blocks go after the block preceding the first text block. When the page
+            // starts with text, that first block is the anchor, so it can only be kept if
+            // nothing new goes before it.
+            const firstIndex = oldBlocks.length > 0 ? blocks.indexOf(oldBlocks[0]) : -1;
+            let anchor = firstIndex > 0 ? blocks[firstIndex - 1].id : oldBlocks[0]?.id;
+            if (firstIndex === 0 && matches[0] > 0) matches[0] = -1;
+
+            const removed = oldBlocks.filter((block, i) => matches[i] === -1);
+            const blocked = removed.find(block => this.hasNonTextDescendants(block));
+            if (blocked) {
+                logger.warn('Page notes not rewritten: text block contains non-text children', { pageId, blockId: blocked.id });
+                return false;
+            }
+
+            const kept = new Map();
+            matches.forEach((newIndex, oldIndex) => {
+                if (newIndex !== -1) kept.set(newIndex, oldBlocks[oldIndex]);
             });
 
-            for (const block of blocks.results) {
-                if (['to_do', 'paragraph', 'bulleted_list_item', 'numbered_list_item', 'heading_1', 'heading_2', 'heading_3'].includes(block.type)) {
-                    await this.notion.blocks.delete({ block_id: block.id });
+            for (let i = 0; i < newBlocks.length;) {
+                if (kept.has(i)) {
+                    // Spacers stay with the text above them, so new text goes after them
+                    let at = blocks.indexOf(kept.get(i));
+                    while (blocks[at + 1] && this.isSpacer(blocks[at + 1])) at++;
+                    anchor = blocks[at].id;
+                    i++;
+                    continue;
                 }
+                let end = i;
+                while (end < newBlocks.length && !kept.has(end)) end++;
+                anchor = await this.appendBlocks(pageId, newBlocks.slice(i, end), anchor);
+                i = end;
             }
 
-            if (commentsText && commentsText.trim()) {
-                const lines = commentsText.split('\n').filter(line => line.trim());
-                const newBlocks = [];
-
-                for (const line of lines) {
-                    const trimmedLine = line.trim();
-
-                    if (trimmedLine.startsWith('[x]') || trimmedLine.startsWith('[ ]')) {
-                        const checked = trimmedLine.startsWith('[x]');
-                        const text = trimmedLine.substring(3).trim();
-                        newBlocks.push({
-                            object: 'block',
-                            type: 'to_do',
-                            to_do: {
-                                rich_text: [{ type: 'text', text: { content: text } }],
-                                checked
-                            }
-                        });
-                    } else if (trimmedLine.startsWith('# ')) {
-                        const text = trimmedLine.substring(2).trim();
-                        newBlocks.push({
-                            object: 'block',
-                            type: 'heading_1',
-                            heading_1: { rich_text: [{ type: 'text', text: { content: text } }] }
-                        });
-                    } else if (trimmedLine.startsWith('## ')) {
-                        const text = trimmedLine.substring(3).trim();
-                        newBlocks.push({
-                            object: 'block',
-                            type: 'heading_2',
-                            heading_2: { rich_text: [{ type: 'text', text: { content: text } }] }
-                        });
-                    } else if (trimmedLine.startsWith('• ')) {
-                        const text = trimmedLine.substring(2).trim();
-                        newBlocks.push({
-                            object: 'block',
-                            type: 'bulleted_list_item',
-                            bulleted_list_item: { rich_text: [{ type: 'text', text: { content: text } }] }
-                        });
-                    } else if (trimmedLine) {
-                        newBlocks.push({
-                            object: 'block',
-                            type: 'paragraph',
-                            paragraph: { rich_text: [{ type: 'text', text: { content: trimmedLine } }] }
-                        });
-                    }
-                }
-
-                if (newBlocks.length > 0) {
-                    await this.notion.blocks.children.append({
-                        block_id: pageId,
-                        children: newBlocks
-                    });
-                }
+            for (const block of removed) {
+                await this.requests.run('blocks.delete', () => this.notion.blocks.delete({ block_id: block.id }));
             }
+            return true;
         } catch (error) {
             logger.error('Error updating page comments', { message: error.message, pageId });
             throw error;
         }
     }
 
-    async createTask(taskData) {
+    // Retrieve a single page regardless of the data source query; null if it no longer exists
+    async getPage(pageId) {
         try {
+            const page = await this.requests.run('pages.retrieve', () => this.notion.pages.retrieve({ page_id: pageId }));
+            const parent = this.parentOf(page);
+            await this.loadSchemaInfo(parent.dataSourceId, this.propertyMapFor(parent));
+            return this.formatNotionTask(page);
+        } catch (error) {
+            if (error.code === 'object_not_found') return null;
+            logger.error('Error retrieving Notion page', { message: error.message, pageId });
+            throw error;
+        }
+    }
+
+    async archiveTask(pageId) {
+        try {
+            await this.requests.run('pages.update', () => this.notion.pages.update({ page_id: pageId, in_trash: true }));
+            logger.info('Notion task archived', { pageId });
+            return true;
+        } catch (error) {
+            logger.error('Error archiving Notion task', { message: error.message, pageId });
+            throw error;
+        }
+    }
+
+    async createTask(taskData, source = this.defaultSource) {
+        try {
+            const dataSourceId = await this.initialize(source);
+            const propertyMap = this.propertyMapFor(source);
+            await this.loadSchemaInfo(dataSourceId, propertyMap);
             const properties = {
-                Name: { title: [{ text: { content: taskData.title } }] },
-                Status: { status: { name: taskData.completed ? 'Done' : 'To Do' } }
+                [propertyMap.title]: { title: [{ text: { content: taskData.title } }] },
+                [propertyMap.completion.property]: this.completionProperty(Boolean(taskData.completed), null, propertyMap)
             };
 
             if (taskData.due) {
-                properties['Due Date'] = { date: { start: taskData.due } };
+                properties[propertyMap.due] = { date: { start: taskData.due } };
+            }
+
+            // Sub-item of another page (callers check hasParentProperty first)
+            if (taskData.parentPageId) {
+                properties[propertyMap.parent] = { relation: [{ id: taskData.parentPageId }] };
             }
 
-            const response = await this.notion.pages.create({
-                parent: { type: 'database_id', database_id: this.databaseId },
+            // Link to the paired Google task
+            const googleLink = taskData.googleTask && this.googleLinkProperty(taskData.googleTask, propertyMap, dataSourceId);
+            if (googleLink) properties[propertyMap.googleLink] = googleLink;
+
+            // Select properties, e.g. the routing property of a multi-list pair
+            for (const [name, option] of Object.entries(taskData.selects || {})) {
+                properties[name] = { select: option ? { name: option } : null };
+            }
+
+            const response = await this.requests.run('pages.create', () => this.notion.pages.create({
+                parent: { type: 'data_source_id', data_source_id: dataSourceId },
                 properties
-            });
+            }), { idempotent: false });
 
             if (taskData.notes) {
                 await this.updatePageComments(response.id, taskData.notes);
             }
 
-            const result = this.formatNotionTask(response);
+            const result = this.formatNotionTask(response, propertyMap);
             logger.info('Notion task created', { title: result.title, completed: result.completed });
             return result;
         } catch (error) {
@@ -265,41 +517,60 @@ class NotionService {
         }
     }
 
-    async updateTask(pageId, updates) {
+    // `parent` ({ databaseId, dataSourceId } of the page) picks the property mapping;
+    // without it (or for completion changes) the page is read first. `updates.reopenStatus`
+    // is the status to restore when reopening a task.
+    async updateTask(pageId, updates, parent) {
         try {
             const properties = {};
+            let propertyMap = parent ? this.propertyMapFor(parent) : null;
+            let currentPage = null;
+
+            if (!propertyMap || updates.completed !== undefined) {
+                currentPage = await this.requests.run('pages.retrieve', () => this.notion.pages.retrieve({ page_id: pageId }));
+                parent = this.parentOf(currentPage);
+                propertyMap = this.propertyMapFor(parent);
+            }
+            await this.loadSchemaInfo(parent.dataSourceId, propertyMap);
 
             if (updates.title !== undefined) {
-                properties.Name = { title: [{ text: { content: updates.title } }] };
+                properties[propertyMap.title] = { title: [{ text: { content: updates.title } }] };
             }
 
             if (updates.completed !== undefined) {
-                const currentPage = await this.notion.pages.retrieve({ page_id: pageId });
-                const currentStatus = currentPage.properties.Status?.status?.name;
-
-                if (updates.completed) {
-                    properties.Status = { status: { name: 'Done' } };
-                } else {
-                    let incompleteStatus = currentStatus === 'Done' ? 'To Do' : (currentStatus || 'To Do');
-                    properties.Status = { status: { name: incompleteStatus } };
-                }
+                const currentValue = this.completionValue(currentPage.properties, propertyMap);
+                properties[propertyMap.completion.property] = this.completionProperty(updates.completed, currentValue, propertyMap, {
+                    dataSourceId: parent.dataSourceId,
+                    previousValue: updates.reopenStatus
+                });
                 logger.info('Notion task status set', { pageId, completed: updates.completed });
             }
 
             if (updates.due !== undefined) {
-                properties['Due Date'] = updates.due ? { date: { start: updates.due } } : { date: null };
+                const date = updates.due ? { start: updates.due } : null;
+                if (date && updates.dueEnd) date.end = updates.dueEnd;
+                properties[propertyMap.due] = { date };
+            }
+
+            if (updates.parentPageId !== undefined) {
+                properties[propertyMap.parent] = { relation: updates.parentPageId ? [{ id: updates.parentPageId }] : [] };
+            }
+
+            if (updates.googleTask !== undefined) {
+                const googleLink = this.googleLinkProperty(updates.googleTask, propertyMap, parent.dataSourceId);
+                if (googleLink) properties[propertyMap.googleLink] = googleLink;
             }
 
             if (Object.keys(properties).length > 0) {
-                await this.notion.pages.update({ page_id: pageId, properties });
+                await this.requests.run('pages.update', () => this.notion.pages.update({ page_id: pageId, properties }));
             }
 
             if (updates.notes !== undefined) {
                 await this.updatePageComments(pageId, updates.notes);
             }
 
-            const updatedPage = await this.notion.pages.retrieve({ page_id: pageId });
-            const task = this.formatNotionTask(updatedPage);
+            const updatedPage = await this.requests.run('pages.retrieve', () => this.notion.pages.retrieve({ page_id: pageId }));
+            const task = this.formatNotionTask(updatedPage, propertyMap);
             task.comments = await this.getPageComments(pageId);
             task.notes = task.comments;
             return task;
@@ -309,21 +580,38 @@ class NotionService {
         }
     }
 
-    formatNotionTask(page) {
+    formatNotionTask(page, propertyMap = this.propertyMapFor(this.parentOf(page)), dataSourceId = this.parentOf(page).dataSourceId) {
         const properties = page.properties;
-        const statusName = properties.Status?.status?.name;
-        const isCompleted = statusName === 'Done';
+        const statusValue = this.completionValue(properties, propertyMap);
+        const isCompleted = this.isDoneValue(statusValue, propertyMap, dataSourceId);
+
+        const selects = {};
+        for (const [name, prop] of Object.entries(properties)) {
+            if (prop?.type === 'select') selects[name] = prop.select?.name || null;
+        }
 
         return {
             id: page.id,
-            title: properties.Name?.title?.[0]?.text?.content || '',
+            url: page.url || null,
+            // Mentions, links and formatting split a title into several segments
+            title: (properties[propertyMap.title]?.title || []).map(rt => rt.plain_text).join(''),
             completed: isCompleted,
-            due: properties['Due Date']?.date?.start || null,
+            due: properties[propertyMap.due]?.date?.start || null,
+            dueEnd: properties[propertyMap.due]?.date?.end || null,
             notes: '',
             comments: '',
+            archived: Boolean(page.in_trash || page.archived),
             lastModified: page.last_edited_time,
             created: page.created_time,
-            originalStatus: statusName
+            originalStatus: statusValue,
+            parent: this.parentOf(page),
+            // Parent page through the "Parent item" relation; undefined when the database has no such property
+            parentPageId: propertyMap.parent && properties[propertyMap.parent]?.type === 'relation'
+                ? properties[propertyMap.parent].relation?.[0]?.id || null
+                : undefined,
+            // Paired Google task as stored in the link property ({ type, value }); undefined without one
+            googleLink: this.googleLinkOf(properties[propertyMap.googleLink]),
+            selects
         };
     }
 }
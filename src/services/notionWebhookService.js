@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const config = require('../config');
+const notionService = require('./notionService');
+const syncService = require('./syncService');
+const logger = require('../utils/logger');
+
+// Events about data sources or databases as a whole; they cannot be narrowed down to pages
+const FULL_SYNC_EVENT_PREFIXES = ['data_source.', 'database.'];
+// A moved page may have left the configured data sources; its old pair is only found by a full sync
+const FULL_SYNC_PAGE_EVENTS = ['page.moved'];
+
+// Notion webhook events → targeted syncs. Page events are collected for a short quiet
+// period, then the affected pages are read and only their pairs are synced. Events that
+// name no page, and pages that cannot be read, fall back to a full sync.
+class NotionWebhookService {
+    constructor() {
+        this.pendingPages = new Set();
+        this.fullSyncPending = false;
+        this.firstEventAt = null;
+        this.timer = null;
+    }
+
+    // X-Notion-Signature is "sha256=" + the HMAC-SHA256 of the raw body, keyed with the verification token
+    verifySignature(rawBody, signature) {
+        const { secret } = config.webhooks.notion;
+        if (!secret || !rawBody || typeof signature !== 'string') return false;
+
+        const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+        const received = Buffer.from(signature);
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    // The one-time request Notion sends when a subscription is created. The token has to be
+    // pasted back into Notion to activate the subscription, and set as NOTION_WEBHOOK_SECRET.
+    receiveVerificationToken(token) {
+        logger.warn(`Notion webhook verification token received: ${token}`);
+        logger.warn('Paste it into the integration\'s webhook settings in Notion and set NOTION_WEBHOOK_SECRET to it');
+    }
+
+    // Queue one (verified) event and (re)start the debounce timer
+    enqueue(event) {
+        const type = String(event.type || '');
+        const entity = event.entity || {};
+
+        if (type.startsWith('page.') && entity.type === 'page' && entity.id && !FULL_SYNC_PAGE_EVENTS.includes(type)) {
+            this.pendingPages.add(entity.id);
+        } else if (type.startsWith('comment.')) {
+            // Comments are not synced
+            logger.debug('Notion webhook event ignored', { type, eventId: event.id });
+            return false;
+        } else {
+            if (!FULL_SYNC_EVENT_PREFIXES.some(prefix => type.startsWith(prefix)) && !FULL_SYNC_PAGE_EVENTS.includes(type)) {
+                logger.info('Notion webhook event not resolvable to pages; full sync queued', { type, eventId: event.id });
+            }
+            this.fullSyncPending = true;
+        }
+
+        logger.debug('Notion webhook event queued', { type, eventId: event.id, entityId: entity.id || null, pendingPages: this.pendingPages.size });
+        this.schedule();
+        return true;
+    }
+
+    schedule() {
+        const { debounceMs, maxWaitMs } = config.webhooks.notion;
+        if (!this.firstEventAt) this.firstEventAt = Date.now();
+        const delay = Math.max(0, Math.min(debounceMs, this.firstEventAt + maxWaitMs - Date.now()));
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), delay);
+        // A pending batch never keeps the process alive on its own
+        this.timer.unref?.();
+    }
+
+    // Run one sync for everything collected so far. Returns the sync result (null when
+    // there was nothing to do, or when a sync was already running and the batch was requeued).
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const pageIds = [...this.pendingPages];
+        let fullSync = this.fullSyncPending;
+        this.pendingPages.clear();
+        this.fullSyncPending = false;
+        this.firstEventAt = null;
+        if (pageIds.length === 0 && !fullSync) return null;
+
+        let notionPages = null;
+        if (!fullSync) {
+            try {
+                notionPages = await this.resolvePages(pageIds);
+            } catch (error) {
+                logger.warn('Notion webhook pages could not be read; running a full sync', { message: error.message, pages: pageIds.length });
+                fullSync = true;
+            }
+        }
+        if (!fullSync && notionPages.size === 0) {
+            logger.debug('Notion webhook pages belong to no list pair', { pages: pageIds.length });
+            return null;
+        }
+
+        try {
+            logger.info(`Webhook sync triggered (${fullSync ? 'full' : `${notionPages.size} page(s)`})`);
+            const result = await syncService.performFullSync(fullSync ? { trigger: 'webhook' } : { trigger: 'webhook', notionPages });
+            if (!result) {
+                // Try again once the running sync is done
+                for (const pageId of pageIds) this.pendingPages.add(pageId);
+                this.fullSyncPending = this.fullSyncPending || fullSync;
+                this.schedule();
+            }
+            return result;
+        } catch (error) {
+            logger.error('Webhook sync failed', { message: error.message });
+            return null;
+        }
+    }
+
+    // Page ID → page (null when deleted) for pages of the configured data sources. Pages
+    // elsewhere in the workspace are dropped; gone ones are kept for their stored pairs.
+    async resolvePages(pageIds) {
+        const dataSourceIds = new Set();
+        for (const listPair of config.sync.pairs) {
+            dataSourceIds.add(await notionService.initialize({ databaseId: listPair.databaseId, dataSourceId: listPair.dataSourceId }));
+        }
+
+        const pages = new Map();
+        for (const pageId of pageIds) {
+            const page = await notionService.getPage(pageId);
+            if (!page || page.archived || dataSourceIds.has(page.parent?.dataSourceId)) pages.set(pageId, page);
+        }
+        return pages;
+    }
+}
+
+module.exports = new NotionWebhookService();
@@ -0,0 +1,312 @@
+const { randomUUID } = require('crypto');
+const notionService = require('./notionService');
+const googleTasksService = require('./googleTasksService');
+const syncService = require('./syncService');
+const taskMappings = require('../models/taskMapping');
+const taskSnapshots = require('../models/taskSnapshot');
+const syncRuns = require('../models/syncRun');
+const logger = require('../utils/logger');
+const { addNotesFooter } = require('../utils/notesFooter');
+const { blocksToMarkdown, markdownToBlocks } = require('../utils/markdown');
+
+// Fields a revert restores; list moves, parent changes and links are left as they are
+const REVERTIBLE_FIELDS = ['title', 'completed', 'due', 'notes'];
+
+// Why a revert was refused: `status` is the HTTP status, `conflicts` lists the tasks in the way
+class RevertError extends Error {
+    constructor(message, status, conflicts = []) {
+        super(message);
+        this.name = 'RevertError';
+        this.status = status;
+        this.conflicts = conflicts;
+    }
+}
+
+// Undo a recorded sync run from its journal: restore the old title, completion, due
+// date and notes on the side each update wrote to, and remove the tasks the run
+// created. Every affected task is checked first; if any was changed after the run,
+// nothing is written. The restored side reads as the newest edit, so the next sync
+// carries the old values over to the other side.
+class RevertService {
+    // Returns null when a sync (or another revert) is already running
+    async performRevert(runId, options = {}) {
+        if (syncService.isRunning) {
+            logger.warn('Sync in progress, revert skipped', { revertOf: runId });
+            return null;
+        }
+        // A revert and a sync never write at the same time
+        return syncService.runExclusive(() => logger.runWithContext({ runId: randomUUID() }, () => this.runRevert(runId, options)), { kind: 'revert', options });
+    }
+
+    async runRevert(targetRunId, { dryRun = false, trigger = 'manual' } = {}) {
+        const revert = { runId: logger.runId(), trigger: 'revert', revertOf: targetRunId, requestedBy: trigger, startedAt: new Date().toISOString(), operations: [], errors: [] };
+        let writing = false;
+
+        try {
+            await Promise.all([syncRuns.load(), taskMappings.load(), taskSnapshots.load()]);
+
+            const run = syncRuns.get(targetRunId);
+            if (!run) throw new RevertError(`No sync run ${targetRunId} in the history`, 404);
+            if (run.revertedBy) throw new RevertError(`Run ${targetRunId} was already reverted by run ${run.revertedBy}`, 409);
+            if (run.trigger === 'revert' && run.status !== 'success') {
+                throw new RevertError(`Run ${targetRunId} is an unfinished revert; retry reverting run ${run.revertOf} instead`, 409);
+            }
+
+            const { steps, notReverted } = this.planRevert(run);
+            const conflicts = await this.checkSteps(steps, this.changedAfter(run));
+            if (conflicts.length > 0) {
+                logger.warn('Revert refused: tasks changed since the run', { revertOf: targetRunId, conflicts: conflicts.length });
+                throw new RevertError(`${conflicts.length} task(s) changed since run ${targetRunId}; nothing was reverted`, 409, conflicts);
+            }
+
+            const pending = steps.filter(step => !step.done);
+            if (dryRun) {
+                return { dryRun: true, runId: revert.runId, revertOf: targetRunId, operations: pending.map(step => this.describeStep(step)), alreadyReverted: steps.length - pending.length, notReverted };
+            }
+
+            logger.info('Revert start', { revertOf: targetRunId, operations: pending.length, notReverted: notReverted.length });
+            writing = true;
+            let restored = 0, removed = 0;
+            for (const step of pending) {
+                const op = this.journalOp(step);
+                try {
+                    await this.applyStep(step);
+                } catch (error) {
+                    revert.operations.push(syncService.journalEntry(op, 'failed', error));
+                    revert.errors.push({ message: error.message });
+                    throw error;
+                }
+                revert.operations.push(syncService.journalEntry(op, 'applied'));
+                if (step.type === 'remove') removed++;
+                else restored++;
+            }
+            logger.info('Revert done', { revertOf: targetRunId, restored, removed });
+            return { runId: revert.runId, revertOf: targetRunId, restored, removed, alreadyReverted: steps.length - pending.length, notReverted };
+        } catch (error) {
+            if (!(error instanceof RevertError)) {
+                logger.error('REVERT FAILED', { revertOf: targetRunId, message: error.message, stack: error.stack });
+                if (revert.errors.length === 0) revert.errors.push({ message: error.message });
+            }
+            throw error;
+        } finally {
+            if (writing) await this.recordRevert(revert);
+        }
+    }
+
+    // Journal entries the revert undoes, newest first. Updates are restored on the side they
+    // were written to; creates are undone by removing the created task.
+    planRevert(run) {
+        const steps = [];
+        const notReverted = [];
+
+        for (const entry of run.operations.slice().reverse()) {
+            if (entry.status !== 'applied') continue;
+
+            if (entry.type === 'update' && REVERTIBLE_FIELDS.includes(entry.field)) {
+                steps.push({ type: 'restore', ...this.entryTask(entry) });
+            } else if (entry.type === 'create') {
+                steps.push({ type: 'remove', ...this.entryTask(entry) });
+            } else {
+                notReverted.push({ type: entry.type, field: entry.field, target: entry.target, title: entry.title, notionId: entry.notionId, googleId: entry.googleId });
+            }
+        }
+        return { steps, notReverted };
+    }
+
+    // The task an entry touched, located through the current mapping (a list move changes the Google ID)
+    entryTask(entry) {
+        const mapping = (entry.notionId && taskMappings.findByNotionId(entry.notionId)) || (entry.googleId && taskMappings.findByGoogleId(entry.googleId));
+        return {
+            entry,
+            pair: entry.pair,
+            field: entry.field,
+            target: entry.target,
+            title: entry.title,
+            notionId: entry.notionId,
+            googleId: mapping?.googleId || entry.googleId,
+            listId: mapping?.listId || entry.listId,
+            mapping
+        };
+    }
+
+    // Edits after this time count as changes since the run. A partial revert of the run
+    // moves it forward, so the tasks it already restored do not block a retry.
+    changedAfter(run) {
+        const earlierReverts = syncRuns.runs.filter(r => r.revertOf === run.runId).map(r => r.endedAt);
+        const latest = [run.endedAt, ...earlierReverts].reduce((a, b) => (b > a ? b : a));
+        return Date.parse(latest) + syncService.recencySkewMs;
+    }
+
+    // Read the current state of every affected task and return the conflicts. Steps whose
+    // task already holds the old value (or whose created task is gone) are marked done.
+    async checkSteps(steps, changedAfter) {
+        const conflicts = [];
+        const tasks = new Map();
+        const read = async (side, id, listId) => {
+            const key = `${side}:${id}`;
+            if (!tasks.has(key)) {
+                const task = side === 'notion' ? await notionService.getPage(id) : await googleTasksService.getTask(id, listId);
+                tasks.set(key, task && !task.archived && !task.deleted ? task : null);
+            }
+            return tasks.get(key);
+        };
+        const conflict = (step, reason) => conflicts.push({ title: step.title, target: step.target, field: step.field || null, notionId: step.notionId, googleId: step.googleId, reason });
+        const editedSince = task => Date.parse(task.lastModified || 0) > changedAfter;
+
+        for (const step of steps) {
+            const id = step.target === 'notion' ? step.notionId : step.googleId;
+            const task = await read(step.target, id, step.listId);
+
+            if (step.type === 'remove') {
+                if (!task) step.done = true;
+                else if (editedSince(task)) conflict(step, `created ${step.target} task was edited after the run`);
+                step.current = task;
+                continue;
+            }
+
+            if (!task) {
+                conflict(step, `${step.target} task no longer exists`);
+                continue;
+            }
+            step.current = task;
+
+            const current = await this.currentValue(step, task);
+            if (this.sameValue(step, current, step.entry.from)) {
+                step.done = true;
+                continue;
+            }
+            if (!this.sameValue(step, current, step.entry.to)) {
+                conflict(step, `${step.field} on ${step.target} was changed after the run`);
+                continue;
+            }
+            if (editedSince(task)) {
+                conflict(step, `${step.target} task was edited after the run`);
+                continue;
+            }
+
+            // The restored side will win the next sync, so the other side must not hold newer edits either
+            const otherSide = step.target === 'notion' ? 'google' : 'notion';
+            const otherId = otherSide === 'notion' ? step.notionId : step.googleId;
+            const other = otherId && await read(otherSide, otherId, step.listId);
+            if (other && editedSince(other)) conflict(step, `paired ${otherSide} task was edited after the run`);
+        }
+        return conflicts;
+    }
+
+    async currentValue(step, task) {
+        switch (step.field) {
+        case 'title': return (task.title || '').trim();
+        case 'completed': return Boolean(task.completed);
+        case 'due': return syncService.normalizeDue(task.due);
+        case 'notes':
+            if (step.target === 'google') return (task.notes || '').trim();
+            return (await notionService.getPageComments(task.id)).trim();
+        default: return undefined;
+        }
+    }
+
+    // Notes compare as the side stores them: Notion notes after a Markdown round trip,
+    // Google notes in their truncated form
+    sameValue(step, current, value) {
+        if (step.field !== 'notes') return current === value;
+        const notes = value || '';
+        if (step.target === 'google') return current === syncService.prepareGoogleNotes(notes, step.current.notionUrl).trim();
+        return current === blocksToMarkdown(markdownToBlocks(notes)).trim();
+    }
+
+    async applyStep(step) {
+        const { entry, current: task } = step;
+
+        if (step.type === 'remove') {
+            if (step.target === 'google') {
+                logger.info('Revert: removing created Google task', { title: step.title, googleId: step.googleId });
+                await googleTasksService.deleteTask(step.googleId, step.listId);
+                taskSnapshots.forget(`google:${step.listId}`, step.googleId);
+            } else {
+                logger.info('Revert: archiving created Notion page', { title: step.title, notionId: step.notionId });
+                await notionService.archiveTask(step.notionId);
+                if (task.parent?.dataSourceId) taskSnapshots.forget(`notion:${task.parent.dataSourceId}`, step.notionId);
+            }
+            // The source task stays unpaired; removing the pair keeps it from being deleted too,
+            // and the suppression keeps the next sync from creating the copy again
+            if (step.mapping) taskMappings.remove(step.mapping);
+            const source = step.target === 'google' ? { side: 'notion', id: step.notionId } : { side: 'google', id: step.googleId };
+            if (source.id) taskMappings.suppressCreate(source.side, source.id, { pair: step.pair, revertRunId: logger.runId() });
+            return;
+        }
+
+        logger.info('Revert: restoring field', { title: step.title, field: step.field, target: step.target });
+        if (step.target === 'google') {
+            const updates = step.field === 'notes'
+                ? { notes: addNotesFooter(entry.from || '', task.notionUrl) }
+                : { [step.field]: entry.from };
+            await googleTasksService.updateTask(step.googleId, updates, step.listId);
+        } else if (step.field === 'notes') {
+            const written = await notionService.updatePageComments(step.notionId, entry.from || '');
+            if (!written) throw new Error(`Notes of "${step.title}" could not be restored without removing non-text blocks`);
+        } else if (step.field === 'completed') {
+            await notionService.updateTask(step.notionId, { completed: entry.from, reopenStatus: step.mapping?.openStatus }, task.parent);
+        } else if (step.field === 'due') {
+            await syncService.updateNotionDue(task, entry.from);
+        } else {
+            await notionService.updateTask(step.notionId, { title: entry.from }, task.parent);
+        }
+    }
+
+    // The step as it appears in the revert's own journal: the inverse of the original entry
+    journalOp(step) {
+        const { entry } = step;
+        const op = {
+            pair: step.pair,
+            type: step.type === 'remove' ? 'delete' : 'update',
+            field: step.type === 'remove' ? undefined : step.field,
+            target: step.target,
+            title: step.title,
+            notionId: step.notionId,
+            googleId: step.googleId,
+            listId: step.listId,
+            values: { from: entry.to, to: entry.from }
+        };
+        if (entry.chars) op.chars = { from: entry.chars.to, to: entry.chars.from };
+        return op;
+    }
+
+    // Dry-run entry (no notes content, like the sync plan)
+    describeStep(step) {
+        const { values, ...op } = this.journalOp(step);
+        return step.field === 'notes' || step.type === 'remove' ? op : { ...op, from: values.from, to: values.to };
+    }
+
+    // Save the state and the revert's history record and, once complete, mark the original run as reverted
+    async recordRevert(revert) {
+        await Promise.all([taskMappings.save(), taskSnapshots.save()]).catch(error => {
+            logger.error('Saving state after revert failed', { message: error.message });
+        });
+
+        const applied = revert.operations.filter(op => op.status === 'applied');
+        revert.counts = {
+            created: 0,
+            updated: applied.filter(op => op.type === 'update').length,
+            deleted: applied.filter(op => op.type === 'delete').length,
+            pairs: new Set(applied.map(op => op.notionId || op.googleId)).size
+        };
+        const endedAt = new Date();
+        await syncService.recordRun(revert, endedAt);
+        if (revert.errors.length > 0) return;
+
+        try {
+            await syncRuns.load();
+            const original = syncRuns.get(revert.revertOf);
+            if (original) {
+                original.revertedBy = revert.runId;
+                original.revertedAt = endedAt.toISOString();
+                await syncRuns.save();
+            }
+        } catch (error) {
+            logger.error('Marking the run as reverted failed', { message: error.message, runId: revert.revertOf });
+        }
+    }
+}
+
+module.exports = new RevertService();
+module.exports.RevertError = RevertError;
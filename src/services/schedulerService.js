@@ -0,0 +1,172 @@
+const config = require('../config');
+const syncService = require('./syncService');
+const logger = require('../utils/logger');
+const { Cron } = require('croner');
+
+const MINUTE_MS = 60 * 1000;
+// Expressions with no match within a year are treated as never due
+const SEARCH_LIMIT_MS = 366 * 24 * 60 * MINUTE_MS;
+// setTimeout delays overflow past ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+// A planned run that finds a sync in progress tries again this much later
+const BUSY_RETRY_MS = MINUTE_MS;
+
+// Scheduled syncs: a frequent incremental job and a full job, each on its own cron
+// expression. Runs start with random jitter, skip the quiet hours (incremental job
+// only) and pause with exponential backoff after consecutive failures.
+class SchedulerService {
+    constructor() {
+        this.jobs = [];
+        this.consecutiveFailures = 0;
+        this.backoffUntil = null;
+        this.started = false;
+    }
+
+    start(schedule = config.sync.schedule) {
+        this.stop();
+        this.schedule = schedule;
+        this.jobs = [
+            { name: 'incremental', expression: schedule.incremental, trigger: 'interval', fullSweep: false, quietHours: schedule.quietHours },
+            { name: 'full', expression: schedule.full, trigger: 'full', fullSweep: true, quietHours: null }
+        ]
+            .filter(job => job.expression)
+            .map(job => ({
+                ...job,
+                // Paused: only used to compute run times, the timers are ours
+                cron: new Cron(job.expression, { timezone: schedule.timezone || undefined, paused: true }),
+                timer: null,
+                lastMatchAt: null,
+                nextMatchAt: null,
+                nextRunAt: null,
+                lastRunAt: null,
+                lastResult: null
+            }));
+        // Wall-clock hours and minutes in the schedule's time zone, for quiet hours
+        this.clock = new Intl.DateTimeFormat('en-GB', { timeZone: schedule.timezone || undefined, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+        this.started = true;
+
+        for (const job of this.jobs) this.arm(job);
+        logger.info('Scheduler started', {
+            jobs: this.jobs.map(job => ({ name: job.name, expression: job.expression, nextRunAt: job.nextRunAt })),
+            timezone: schedule.timezone,
+            quietHours: schedule.quietHours?.label || null,
+            jitterSeconds: schedule.jitterSeconds
+        });
+    }
+
+    stop() {
+        for (const job of this.jobs) clearTimeout(job.timer);
+        this.started = false;
+    }
+
+    // Plan the job's next run: the first match after now (and after the match it last ran
+    // for) that is past any backoff and outside quiet hours, plus jitter
+    arm(job) {
+        const from = new Date(Math.max(Date.now(), job.lastMatchAt ? job.lastMatchAt.getTime() : 0));
+        job.nextMatchAt = this.nextRun(job, from);
+        if (!job.nextMatchAt) {
+            clearTimeout(job.timer);
+            job.nextRunAt = null;
+            logger.warn('Scheduled job has no upcoming run', { job: job.name, expression: job.expression });
+            return;
+        }
+
+        const jitterMs = Math.floor(Math.random() * this.schedule.jitterSeconds * 1000);
+        job.nextRunAt = new Date(job.nextMatchAt.getTime() + jitterMs);
+        this.wait(job);
+    }
+
+    wait(job) {
+        clearTimeout(job.timer);
+        const delay = Math.max(0, job.nextRunAt.getTime() - Date.now());
+        job.timer = setTimeout(() => (Date.now() < job.nextRunAt.getTime() ? this.wait(job) : this.fire(job)), Math.min(delay, MAX_TIMER_MS));
+    }
+
+    async fire(job) {
+        job.lastMatchAt = job.nextMatchAt;
+        const hadFailures = this.consecutiveFailures > 0;
+        let result;
+        try {
+            logger.info('Scheduled sync starting', { job: job.name, plannedFor: job.nextMatchAt });
+            result = await syncService.performFullSync({ trigger: job.trigger, fullSweep: job.fullSweep });
+        } catch (error) {
+            this.consecutiveFailures++;
+            const backoffMs = Math.min(
+                this.schedule.backoffBaseMinutes * MINUTE_MS * 2 ** (this.consecutiveFailures - 1),
+                this.schedule.backoffMaxMinutes * MINUTE_MS
+            );
+            this.backoffUntil = new Date(Date.now() + backoffMs);
+            logger.error('Scheduled sync failed; backing off', { job: job.name, message: error.message, consecutiveFailures: this.consecutiveFailures, backoffUntil: this.backoffUntil });
+        }
+        if (!this.started) return;
+
+        if (result === null) {
+            // Another sync (webhook, manual, the other job) is running; try again shortly
+            logger.info('Scheduled sync deferred: a sync is in progress', { job: job.name });
+            job.nextRunAt = new Date(Date.now() + BUSY_RETRY_MS);
+            this.wait(job);
+            return;
+        }
+
+        job.lastRunAt = new Date();
+        job.lastResult = result ? 'success' : 'failed';
+        if (result && hadFailures) {
+            logger.info('Scheduled syncs recovered', { afterFailures: this.consecutiveFailures });
+            this.consecutiveFailures = 0;
+            this.backoffUntil = null;
+        }
+
+        // A backoff that started or ended moves every job's next run
+        const backoffChanged = !result || hadFailures;
+        for (const other of this.jobs) {
+            if (other === job || backoffChanged) this.arm(other);
+        }
+    }
+
+    // First match strictly after `from` that is past the backoff and outside the job's quiet hours
+    nextRun(job, from) {
+        let after = new Date(Math.max(from.getTime(), this.backoffUntil ? this.backoffUntil.getTime() - 1 : 0));
+        const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+        while (after.getTime() < limit) {
+            const match = job.cron.nextRun(after);
+            if (!match || match.getTime() >= limit) return null;
+            if (!this.inQuietHours(job, match)) return match;
+            after = match;
+        }
+        return null;
+    }
+
+    inQuietHours(job, date) {
+        if (!job.quietHours) return false;
+        const parts = Object.fromEntries(this.clock.formatToParts(date).map(part => [part.type, part.value]));
+        const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+        const { start, end } = job.quietHours;
+        return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    }
+
+    // Schedule state for /sync/status; `nextRun` is the soonest planned run of any job
+    status() {
+        const jobs = this.jobs.map(job => ({
+            name: job.name,
+            expression: job.expression,
+            nextRunAt: job.nextRunAt,
+            lastRunAt: job.lastRunAt,
+            lastResult: job.lastResult
+        }));
+        const upcoming = jobs.filter(job => job.nextRunAt).sort((a, b) => a.nextRunAt - b.nextRunAt)[0];
+
+        return {
+            enabled: this.started && this.jobs.length > 0,
+            nextRun: upcoming ? { job: upcoming.name, at: upcoming.nextRunAt } : null,
+            jobs,
+            timezone: this.schedule?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            quietHours: this.schedule?.quietHours?.label || null,
+            jitterSeconds: this.schedule?.jitterSeconds ?? 0,
+            consecutiveFailures: this.consecutiveFailures,
+            backoffUntil: this.backoffUntil
+        };
+    }
+}
+
+module.exports = new SchedulerService();
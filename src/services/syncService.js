@@ -1,18 +1,39 @@
+const { randomUUID } = require('crypto');
 const notionService = require('./notionService');
 const googleTasksService = require('./googleTasksService');
+const config = require('../config');
+const taskMappings = require('../models/taskMapping');
+const taskSnapshots = require('../models/taskSnapshot');
+const syncRuns = require('../models/syncRun');
 const logger = require('../utils/logger');
+const stateLock = require('../utils/stateLock');
+const metrics = require('../utils/metrics');
+const { mergeLines } = require('../utils/merge');
+const { addNotesFooter } = require('../utils/notesFooter');
+
+// Notion's last_edited_time is minute-precision, so incremental queries reach back past the watermark
+const NOTION_WATERMARK_OVERLAP_MS = 2 * 60 * 1000;
+// Google timestamps are precise; the overlap only covers clock skew between us and the API
+const GOOGLE_WATERMARK_OVERLAP_MS = 60 * 1000;
+// How often a waiting trigger checks whether another process has released the sync lock
+const LOCK_POLL_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 class SyncService {
     constructor() {
         this.lastSync = null;
         this.isRunning = false;
+        // { kind: sync|revert, options, promise } of the run this process is doing
+        this.activeRun = null;
         this.stats = {
             totalSyncs: 0,
             lastSyncTime: null,
             errors: 0,
             tasksCreated: 0,
             tasksUpdated: 0,
-            tasksDeleted: 0
+            tasksDeleted: 0,
+            notesConflicts: 0
         };
 
         // Focused logging for completion sync
@@ -43,6 +64,12 @@ class SyncService {
         return s.trim().toLowerCase().replace(/\s+/g, ' ');
     }
 
+    // Reduce a due value (date, datetime or range start) to YYYY-MM-DD, or null
+    normalizeDue(due) {
+        if (!due) return null;
+        return String(due).slice(0, 10);
+    }
+
     // Return true if google is considered "newer" than notion by threshold
     googleBeatsNotion(googleTask, notionTask) {
         const g = googleTask?.lastModified ? Date.parse(googleTask.lastModified) : 0;
@@ -57,290 +84,1213 @@ class SyncService {
         return n > g + this.recencySkewMs;
     }
 
-    async performFullSync() {
+    // Pair Notion and Google tasks of one list pair: stored ID mappings first, then
+    // bootstrap unmapped tasks by normalized title (open-first) and persist the new pairs.
+    // With `notionPages` (a targeted run), only those pages are bootstrapped or reported as
+    // orphans, so the run changes no mapping of a page it was not asked about.
+    pairTasks(notionTasks, googleTasks, listPair, notionPages = null) {
+        const inScope = notionId => !notionPages || notionPages.has(notionId);
+        const notionById = new Map(notionTasks.map(nt => [nt.id, nt]));
+        const googleById = new Map(googleTasks.map(gt => [gt.id, gt]));
+        const pairs = [];
+        const orphans = []; // stored pairs with one or both sides missing from this fetch
+        const mappedNotionIds = new Set();
+        const mappedGoogleIds = new Set();
+
+        for (const mapping of taskMappings.all()) {
+            // Mapped IDs never take part in title bootstrap or creates, even if one side is missing
+            mappedNotionIds.add(mapping.notionId);
+            mappedGoogleIds.add(mapping.googleId);
+
+            // Pairs of other list pairs are only reserved, never orphaned here
+            if (!this.mappingInListPair(mapping, listPair)) continue;
+
+            const notion = notionById.get(mapping.notionId);
+            const google = googleById.get(mapping.googleId);
+            if (notion && google) {
+                if (mapping.missingSince && inScope(mapping.notionId)) taskMappings.clearMissing(mapping);
+                pairs.push({ notion, google, mapping });
+            } else if (inScope(mapping.notionId)) {
+                orphans.push({ mapping, notion: notion || null, google: google || null });
+            }
+        }
+
+        // Title index over unmapped Google tasks: open first, then most recently updated done
+        const titleIndex = new Map(); // key: normalized title, value: { open: [], done: [] }
+        for (const gt of googleTasks) {
+            if (mappedGoogleIds.has(gt.id) || !gt.title?.trim()) continue;
+            const key = this.normalizeTitle(gt.title);
+            if (!titleIndex.has(key)) titleIndex.set(key, { open: [], done: [] });
+            if (gt.completed) titleIndex.get(key).done.push(gt);
+            else titleIndex.get(key).open.push(gt);
+        }
+        for (const group of titleIndex.values()) {
+            group.done.sort((a, b) => Date.parse(b.lastModified || 0) - Date.parse(a.lastModified || 0));
+        }
+
+        let bootstrapped = 0;
+        for (const nt of notionTasks) {
+            if (mappedNotionIds.has(nt.id) || !nt.title?.trim() || !inScope(nt.id)) continue;
+            const group = titleIndex.get(this.normalizeTitle(nt.title));
+            if (!group) continue;
+
+            // Each Google task pairs with at most one Notion page
+            const google = group.open.shift() || group.done.shift();
+            if (!google) continue;
+
+            const mapping = taskMappings.link({
+                notionId: nt.id,
+                googleId: google.id,
+                listId: google.listId,
+                pair: listPair.name,
+                title: nt.title,
+                notionLastEdited: nt.lastModified,
+                googleUpdated: google.lastModified
+            });
+            mappedNotionIds.add(nt.id);
+            mappedGoogleIds.add(google.id);
+            pairs.push({ notion: nt, google, mapping });
+            bootstrapped++;
+        }
+
+        if (this.debugCompletion) logger.debug('Tasks paired', { listPair: listPair.name, pairs: pairs.length, bootstrapped, orphans: orphans.length });
+        return { pairs, orphans, mappedNotionIds, mappedGoogleIds };
+    }
+
+    // Plan every list pair (or just `pairs`), then (unless dryRun) execute the plan.
+    // A dry run returns the plan without writing to Notion, Google or the local state files.
+    // `trigger` (startup, interval, manual, cli, ...) is recorded in the run history.
+    // `notionPages` (page ID → page, or null when gone) narrows the run to those pages;
+    // `fullSweep` re-reads every task on both sides instead of fetching incrementally.
+    // Returns null when a sync is already running.
+    async performFullSync(options = {}) {
         if (this.isRunning) {
             if (this.debugCompletion) logger.warn('Sync already in progress, skipping');
-            return;
+            return null;
         }
 
+        // Every log line written during the run carries its run ID
+        return this.runExclusive(() => logger.runWithContext({ runId: randomUUID() }, () => this.runFullSync(options)), { kind: 'sync', options });
+    }
+
+    // Sync for a manual trigger that, unlike performFullSync, never turns the request away.
+    // A plain sync already running here is joined and its result shared; any other run
+    // (a revert, a targeted webhook sync, a dry run, a run in another process) is waited
+    // out first. Resolves { result, coalesced }, or null when still blocked after waitMs.
+    async requestSync(options = {}, { waitMs = config.server.triggers.waitMs } = {}) {
+        const deadline = Date.now() + waitMs;
+
+        while (Date.now() < deadline) {
+            const active = this.activeRun;
+            if (active && this.canJoin(active, options)) {
+                const result = await active.promise;
+                if (result) return { result, coalesced: true };
+                continue;
+            }
+            if (active) {
+                await Promise.race([active.promise.catch(() => {}), sleep(deadline - Date.now())]);
+                continue;
+            }
+
+            const result = await this.performFullSync(options);
+            if (result) return { result, coalesced: false };
+            // The lock is held by another process
+            await sleep(Math.min(LOCK_POLL_MS, Math.max(0, deadline - Date.now())));
+        }
+        return null;
+    }
+
+    // A request can share a run that syncs everything, for real, the way it would
+    canJoin(active, options) {
+        return active.kind === 'sync' &&
+            !active.options.dryRun && !options.dryRun &&
+            !active.options.notionPages && !options.notionPages &&
+            (active.options.pairs || config.sync.pairs) === (options.pairs || config.sync.pairs);
+    }
+
+    // Run fn while holding the sync lock: this process's isRunning flag plus, with the blob
+    // state store, a lease shared by every process using that state. Returns null when taken.
+    // `activity` describes the run for requestSync while it is in progress.
+    async runExclusive(fn, activity = {}) {
+        if (this.isRunning) return null;
+        // Claimed before the first await so a second call in this process sees it
         this.isRunning = true;
+        const promise = this.runLocked(fn);
+        this.activeRun = { ...activity, promise };
+        try {
+            return await promise;
+        } finally {
+            if (this.activeRun && this.activeRun.promise === promise) this.activeRun = null;
+        }
+    }
+
+    async runLocked(fn) {
+        let lock = null;
+        try {
+            lock = await stateLock.acquire();
+        } finally {
+            if (!lock) this.isRunning = false;
+        }
+        if (!lock) {
+            logger.warn('A sync is running in another process, skipping');
+            return null;
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await lock.release();
+            this.isRunning = false;
+        }
+    }
+
+    async runFullSync({ dryRun = false, pairs = config.sync.pairs, trigger = 'manual', notionPages = null, fullSweep = false } = {}) {
+        const runId = logger.runId();
         const syncStartTime = new Date();
+        // History record of this run; executePlan appends a journal entry per operation
+        const run = { runId, trigger, startedAt: syncStartTime.toISOString(), operations: [], errors: [] };
 
-        console.log(`SYNC START ${syncStartTime.toISOString()}`);
+        console.log(`SYNC START ${syncStartTime.toISOString()}${dryRun ? ' (dry run)' : ''}`);
 
         try {
-            if (this.debugCompletion) logger.info('Sync start: Google completion → Notion (title-only, latest-wins), Notion↔Google notes, bi-directional completion and creates with guards', {
+            if (this.debugCompletion) logger.info('Sync start: ID-mapped pairs (title bootstrap), bi-directional renames, completion, due dates and notes (latest-wins), creates with guards', {
+                dryRun,
+                trigger,
+                fullSweep,
                 normalizeTitles: this.normalizeTitles,
                 recencySkewMs: this.recencySkewMs
             });
 
-            const [notionTasks, googleTasks] = await Promise.all([
-                notionService.getTasks(),
-                googleTasksService.getTasks()
-            ]);
-
-            let created = 0, updated = 0;
-
-            // Build a title index for Google tasks: prefer open over completed for same title
-            const titleIndex = new Map(); // key: normalized title, value: { open: [], done: [] }
-            for (const gt of googleTasks) {
-                if (!gt.title?.trim()) continue;
-                const key = this.normalizeTitle(gt.title);
-                if (!titleIndex.has(key)) titleIndex.set(key, { open: [], done: [] });
-                if (gt.completed) titleIndex.get(key).done.push(gt);
-                else titleIndex.get(key).open.push(gt);
-            }
+            await Promise.all([taskMappings.load(), taskSnapshots.load()]);
+            if (fullSweep) taskSnapshots.requireFullSweep();
+
+            let created = 0, updated = 0, deleted = 0, paired = 0;
+            const failedPairs = [];
+            const operations = [];
+            // MAX_DELETES_PER_RUN covers the whole run, shared by all list pairs
+            const deletionBudget = { remaining: config.sync.deletion.maxPerRun };
 
-            // Build a quick lookup for Notion titles
-            const notionTitleSet = new Set(
-                notionTasks
-                    .filter(nt => nt.title?.trim())
-                    .map(nt => this.normalizeTitle(nt.title))
-            );
-
-            // Google → Notion completion sync (title-only match, open-first, latest-wins)
-            for (const nt of notionTasks) {
-                if (!nt.title?.trim()) continue;
-                const key = this.normalizeTitle(nt.title);
-                const group = titleIndex.get(key);
-                if (!group) continue;
-
-                // Prefer any open Google task, else fall back to a completed one
-                const representative = group.open[0] || group.done[0];
-                if (!representative) continue;
-
-                // Only update Notion if Google is newer by threshold
-                if (nt.completed !== representative.completed && this.googleBeatsNotion(representative, nt)) {
-                    if (this.debugCompletion) {
-                        logger.info('Completion change (Google → Notion, latest-wins)', {
-                            title: nt.title,
-                            googleCompleted: representative.completed,
-                            googleUpdated: representative.lastModified,
-                            notionEdited: nt.lastModified,
-                            googleOpenCount: group.open.length,
-                            googleDoneCount: group.done.length
-                        });
+            // Each list pair syncs independently; one failing pair does not stop the others
+            for (const listPair of pairs) {
+                try {
+                    // Targeted runs skip pairs none of their pages belong to
+                    const pages = notionPages && await this.pagesInListPair(listPair, notionPages);
+                    if (pages && pages.size === 0) continue;
+
+                    const plan = await this.planListPair(listPair, pages, deletionBudget);
+                    if (dryRun) {
+                        operations.push(...plan.operations.map(op => this.serializeOperation(op)));
+                        continue;
                     }
-                    await this.updateNotionCompletion(nt, representative.completed);
-                    updated++;
+
+                    const result = await this.executePlan(plan, run.operations);
+                    created += result.created;
+                    updated += result.updated;
+                    deleted += result.deleted;
+                    paired += result.pairs;
+                } catch (error) {
+                    logger.error('Sync pair failed', { pair: listPair.name, message: error.message, stack: error.stack });
+                    failedPairs.push(listPair.name);
+                    run.errors.push({ pair: listPair.name, message: error.message });
                 }
             }
+            run.counts = { created, updated, deleted, pairs: paired };
+            run.failedPairs = failedPairs;
+
+            if (dryRun) {
+                logger.info('Dry run planned', { operations: operations.length, failedPairs });
+                return { dryRun: true, runId, generatedAt: syncStartTime.toISOString(), operations, failedPairs };
+            }
 
-            // Notion → Google completion sync (title-only match, open-first, latest-wins)
-            for (const nt of notionTasks) {
-                if (!nt.title?.trim()) continue;
-                const key = this.normalizeTitle(nt.title);
-                const group = titleIndex.get(key);
-                if (!group) continue;
-
-                // Prefer any open Google task, else fall back to a completed one
-                const representative = group.open[0] || group.done[0];
-                if (!representative) continue;
-
-                // Only update Google if Notion is newer by threshold
-                if (nt.completed !== representative.completed && this.notionBeatsGoogle(nt, representative)) {
-                    if (this.debugCompletion) {
-                        // logger.info('Completion change (Notion → Google, latest-wins)', {
-                        //     title: nt.title,
-                        //     notionCompleted: nt.completed,
-                        //     notionEdited: nt.lastModified,
-                        //     googleUpdated: representative.lastModified,
-                        //     googleOpenCount: group.open.length,
-                        //     googleDoneCount: group.done.length
-                        // });
+            await Promise.all([taskMappings.save(), taskSnapshots.save()]);
+            await this.updateSyncStats(created, updated, deleted, syncStartTime);
+
+            if (this.debugCompletion) {
+                logger.info('Sync done', { created, updatedCompletion: updated, deleted, pairs: paired, listPairs: pairs.length, normalizeTitles: this.normalizeTitles, recencySkewMs: this.recencySkewMs });
+                console.log('Sync done', { created, updatedCompletion: updated, deleted, pairs: paired, listPairs: pairs.length, normalizeTitles: this.normalizeTitles, recencySkewMs: this.recencySkewMs });
+            }
+
+            if (failedPairs.length > 0) {
+                throw new Error(`Sync failed for pair(s): ${failedPairs.join(', ')}`);
+            }
+
+            return { runId, created, updated, deleted, pairs: paired };
+
+        } catch (error) {
+            logger.error('SYNC FAILED', { message: error.message, stack: error.stack });
+            if (dryRun) throw error;
+            this.stats.errors++;
+            if (run.errors.length === 0) run.errors.push({ message: error.message });
+            // Keep pairs created before the failure so the next run does not duplicate them
+            if (taskMappings.loaded) {
+                await taskMappings.save().catch(e => logger.error('Saving task mappings failed', { message: e.message }));
+            }
+            if (taskSnapshots.loaded) {
+                await taskSnapshots.save().catch(e => logger.error('Saving task snapshots failed', { message: e.message }));
+            }
+            throw error;
+        } finally {
+            const endedAt = new Date();
+            if (!dryRun) await this.recordRun(run, endedAt);
+            console.log(`SYNC END ${endedAt.toISOString()}`);
+        }
+    }
+
+    // Persist a finished run in the history (and the metrics); failures here never fail the sync
+    async recordRun(run, endedAt) {
+        const record = {
+            ...run,
+            endedAt: endedAt.toISOString(),
+            durationMs: endedAt - Date.parse(run.startedAt),
+            status: run.errors.length > 0 ? 'failed' : 'success',
+            counts: run.counts || { created: 0, updated: 0, deleted: 0, pairs: 0 },
+            failedPairs: run.failedPairs || []
+        };
+        metrics.recordRun(record);
+        try {
+            // Re-read first: the CLI and the server may both append to the history
+            await syncRuns.load();
+            syncRuns.add(record);
+            await syncRuns.save();
+        } catch (error) {
+            logger.error('Saving sync history failed', { message: error.message, runId: run.runId });
+        }
+    }
+
+    // Planning phase for one Notion database ↔ Google task list(s) pair: fetch, pair
+    // and decide. Nothing is written to either API; each operation carries an
+    // `apply` function that the execution phase runs (false = skipped at write time).
+    // With `notionPages`, only those pages are read from Notion and only their pairs are planned.
+    // Planned deletions draw on `deletionBudget`, which runFullSync shares between list pairs.
+    async planListPair(listPair, notionPages = null, deletionBudget) {
+        const source = { databaseId: listPair.databaseId, dataSourceId: listPair.dataSourceId };
+        const listIds = this.listPairTaskListIds(listPair);
+        const targeted = notionPages ? await this.fetchNotionPages(source, notionPages) : null;
+
+        const [notionTasks, googleTasks, hierarchy] = await Promise.all([
+            targeted || this.fetchNotionTasks(source),
+            Promise.all(listIds.map(id => this.fetchGoogleTasks(id))).then(lists => lists.flat()),
+            notionService.hasParentProperty(source)
+        ]);
+
+        const { pairs, orphans, mappedNotionIds, mappedGoogleIds } = this.pairTasks(notionTasks, googleTasks, listPair, targeted && notionPages);
+        metrics.recordTaskCounts(listPair.name, { notion: notionTasks.length, google: googleTasks.length, paired: pairs.length });
+        // Google tasks by ID for subtask parents; tasks created during execution are added too
+        const googleById = new Map(googleTasks.map(gt => [gt.id, gt]));
+        const operations = [];
+        const planned = (pair, op) => operations.push(this.pairOperation(listPair, pair, op));
+
+        // List moves (routing property changed in Notion → move the Google task to the routed list)
+        if (listPair.routing) {
+            for (const pair of pairs) {
+                const { notion: nt, google: gt } = pair;
+                const targetListId = this.targetTaskListId(listPair, nt);
+                if (targetListId === gt.listId) continue;
+
+                planned(pair, {
+                    type: 'move',
+                    field: 'list',
+                    target: 'google',
+                    from: gt.listId,
+                    to: targetListId,
+                    reason: `Notion "${listPair.routing.property}" routes the task to another Google list`,
+                    apply: async () => {
+                        if (this.debugCompletion) logger.info('List move (Notion routing → Google list)', { title: nt.title, from: gt.listId, to: targetListId });
+                        const moved = await googleTasksService.moveTask(pair.google.id, pair.google.listId, targetListId);
+                        // The old list's snapshot would otherwise keep a stale copy until the next full sweep
+                        taskSnapshots.forget(`google:${gt.listId}`, gt.id);
+
+                        // Keep the fetched snapshot for latest-wins decisions; only the location changed
+                        pair.google = { ...pair.google, id: moved.id, listId: moved.listId };
+                        pair.updatedGoogle = moved;
+                        taskMappings.relocate(pair.mapping, { googleId: moved.id, listId: moved.listId });
                     }
-                    await this.updateGoogleCompletion(representative, nt.completed);
-                    updated++;
-                }
+                });
             }
+        }
+
+        // Title rename sync (ID-paired, latest-wins in both directions)
+        for (const pair of pairs) {
+            const { notion: nt, google: gt } = pair;
+
+            const notionTitle = (nt.title || '').trim();
+            const googleTitle = (gt.title || '').trim();
 
-            // Notion → Google notes sync (title-only, latest-wins)
-            for (const nt of notionTasks) {
-                if (!nt.title?.trim()) continue;
-                const key = this.normalizeTitle(nt.title);
-                const group = titleIndex.get(key);
-                if (!group) continue;
-
-                // Prefer the open Google task; if none open, pick the most recently updated among done
-                const candidate = group.open[0] || group.done.sort((a, b) => Date.parse(b.lastModified || 0) - Date.parse(a.lastModified || 0))[0];
-                if (!candidate) continue;
-
-                const notionNotes = (nt.notes || '').trim();
-                const googleNotes = (candidate.notes || '').trim();
-
-                // Only push notes when Notion is more recent and content differs
-                if (this.notionBeatsGoogle(nt, candidate) && notionNotes !== googleNotes) {
-                    if (this.debugCompletion) {
-                        // logger.info('Notes change (Notion → Google, latest-wins)', {
-                        //     title: nt.title,
-                        //     notionEdited: nt.lastModified,
-                        //     googleUpdated: candidate.lastModified,
-                        //     notionLen: notionNotes.length,
-                        //     googleLen: googleNotes.length
-                        // });
+            // Never propagate a blank title; exact compare so case-only renames carry over too
+            if (!notionTitle || !googleTitle || notionTitle === googleTitle) continue;
+
+            if (this.notionBeatsGoogle(nt, gt)) {
+                planned(pair, {
+                    type: 'update', field: 'title', target: 'google', from: googleTitle, to: notionTitle,
+                    reason: 'Notion renamed more recently (latest-wins)',
+                    apply: async () => {
+                        if (this.debugCompletion) logger.info('Title rename (Notion → Google, latest-wins)', { from: googleTitle, to: notionTitle });
+                        pair.updatedGoogle = await this.updateGoogleTitle(pair.google, notionTitle);
                     }
-                    await this.updateGoogleNotes(candidate, notionNotes);
-                    updated++;
-                }
+                });
+            } else if (this.googleBeatsNotion(gt, nt)) {
+                planned(pair, {
+                    type: 'update', field: 'title', target: 'notion', from: notionTitle, to: googleTitle,
+                    reason: 'Google renamed more recently (latest-wins)',
+                    apply: async () => {
+                        if (this.debugCompletion) logger.info('Title rename (Google → Notion, latest-wins)', { from: notionTitle, to: googleTitle });
+                        pair.updatedNotion = await this.updateNotionTitle(pair.notion, googleTitle);
+                    }
+                });
             }
+        }
 
-            // Notion-only → Google (title-only guards)
-            const notionOnlyTasks = notionTasks.filter(nt => {
-                if (!nt.title?.trim()) return false;
+        // Google → Notion completion sync (ID-paired, latest-wins)
+        for (const pair of pairs) {
+            const { notion: nt, google: gt } = pair;
 
-                // If completed in Notion, do not create on Google (creation path)
-                if (nt.completed) {
-                    if (this.debugCompletion) logger.debug('Guard: completed in Notion → skip create', { title: nt.title });
-                    return false;
-                }
+            // Only update Notion if Google is newer by threshold
+            if (nt.completed !== gt.completed && this.googleBeatsNotion(gt, nt)) {
+                planned(pair, {
+                    type: 'update', field: 'completed', target: 'notion', from: nt.completed, to: gt.completed,
+                    reason: 'Google completion changed more recently (latest-wins)',
+                    apply: async () => {
+                        if (this.debugCompletion) {
+                            logger.info('Completion change (Google → Notion, latest-wins)', {
+                                title: nt.title,
+                                googleCompleted: gt.completed,
+                                googleUpdated: gt.lastModified,
+                                notionEdited: nt.lastModified
+                            });
+                        }
+                        pair.updatedNotion = await this.updateNotionCompletion(pair.notion, gt.completed, pair.mapping.openStatus);
+                    }
+                });
+            }
+        }
 
-                // If any Google task has same title, skip creation
-                const hasTitleMatch = googleTasks.some(gt => {
-                    if (!gt.title?.trim()) return false;
-                    return this.compareTitles(nt.title, gt.title);
+        // Notion → Google completion sync (ID-paired, latest-wins)
+        for (const pair of pairs) {
+            const { notion: nt, google: gt } = pair;
+
+            // Only update Google if Notion is newer by threshold
+            if (nt.completed !== gt.completed && this.notionBeatsGoogle(nt, gt)) {
+                planned(pair, {
+                    type: 'update', field: 'completed', target: 'google', from: gt.completed, to: nt.completed,
+                    reason: 'Notion completion changed more recently (latest-wins)',
+                    apply: async () => {
+                        if (this.debugCompletion) {
+                            // logger.info('Completion change (Notion → Google, latest-wins)', {
+                            //     title: nt.title,
+                            //     notionCompleted: nt.completed,
+                            //     notionEdited: nt.lastModified,
+                            //     googleUpdated: gt.lastModified
+                            // });
+                        }
+                        pair.updatedGoogle = await this.updateGoogleCompletion(pair.google, nt.completed);
+                    }
                 });
-                if (hasTitleMatch) {
-                    if (this.debugCompletion) logger.debug('Guard: title exists in Google → skip create', { title: nt.title });
-                    return false;
-                }
+            }
+        }
 
-                return true;
-            });
+        // Due date sync (ID-paired, latest-wins in both directions, including clears)
+        for (const pair of pairs) {
+            const { notion: nt, google: gt } = pair;
 
-            for (const notionTask of notionOnlyTasks) {
-                // Backstop: JIT fresh fetch and title check to avoid races
-                const freshGoogle = await googleTasksService.getTasks();
-                const anyTitleMatchFresh = freshGoogle.some(gt => {
-                    if (!gt.title?.trim()) return false;
-                    return this.compareTitles(notionTask.title, gt.title);
+            // Notion ranges and datetimes compare by their start date; Google due is date-only
+            const notionDue = this.normalizeDue(nt.due);
+            const googleDue = this.normalizeDue(gt.due);
+            if (notionDue === googleDue) continue;
+
+            if (this.notionBeatsGoogle(nt, gt)) {
+                planned(pair, {
+                    type: 'update', field: 'due', target: 'google', from: googleDue, to: notionDue,
+                    reason: 'Notion due date changed more recently (latest-wins)',
+                    apply: async () => {
+                        if (this.debugCompletion) logger.info('Due date change (Notion → Google, latest-wins)', { title: nt.title, from: googleDue, to: notionDue });
+                        pair.updatedGoogle = await this.updateGoogleDue(pair.google, notionDue);
+                    }
                 });
-                if (anyTitleMatchFresh) {
-                    if (this.debugCompletion) logger.debug('Backstop: title match in fresh snapshot → skip create', { title: notionTask.title });
-                    continue;
+            } else if (this.googleBeatsNotion(gt, nt)) {
+                planned(pair, {
+                    type: 'update', field: 'due', target: 'notion', from: notionDue, to: googleDue,
+                    reason: 'Google due date changed more recently (latest-wins)',
+                    apply: async () => {
+                        if (this.debugCompletion) logger.info('Due date change (Google → Notion, latest-wins)', { title: nt.title, from: notionDue, to: googleDue });
+                        pair.updatedNotion = await this.updateNotionDue(pair.notion, googleDue);
+                    }
+                });
+            }
+        }
+
+        // Subtask hierarchy (Notion "Parent item" ↔ Google parent, latest-wins)
+        if (hierarchy) {
+            for (const pair of pairs) {
+                const { notion: nt, google: gt } = pair;
+                if (nt.parentPageId === undefined) continue; // cached before sub-items were read
+
+                const notionWants = this.googleParentFor(nt.parentPageId, gt.listId, googleById); // Google parent implied by Notion
+                const googleWants = this.notionParentFor(gt.parent); // Notion parent implied by Google
+                if (notionWants === gt.parent) continue;
+                // A Notion parent Google cannot express (unpaired, or in another list) is not
+                // something the Google side disagrees with; only the Notion side may change it
+
+                if (notionWants !== undefined && notionWants !== gt.id && this.notionBeatsGoogle(nt, gt)) {
+                    planned(pair, {
+                        type: 'update', field: 'parent', target: 'google', from: gt.parent, to: notionWants,
+                        reason: 'Notion parent item changed more recently (latest-wins)',
+                        apply: async () => {
+                            if (this.debugCompletion) logger.info('Parent change (Notion → Google, latest-wins)', { title: nt.title, from: gt.parent, to: notionWants });
+                            pair.updatedGoogle = await googleTasksService.setParent(pair.google.id, notionWants, pair.google.listId);
+                        }
+                    });
+                } else if (notionWants !== undefined && googleWants !== undefined && googleWants !== nt.parentPageId && googleWants !== nt.id && this.googleBeatsNotion(gt, nt)) {
+                    planned(pair, {
+                        type: 'update', field: 'parent', target: 'notion', from: nt.parentPageId, to: googleWants,
+                        reason: 'Google parent task changed more recently (latest-wins)',
+                        apply: async () => {
+                            if (this.debugCompletion) logger.info('Parent change (Google → Notion, latest-wins)', { title: nt.title, from: nt.parentPageId, to: googleWants });
+                            pair.updatedNotion = await notionService.updateTask(pair.notion.id, { parentPageId: googleWants }, pair.notion.parent);
+                        }
+                    });
                 }
+            }
+        }
 
-                // Small debounce, then re-check once more
-                await new Promise(r => setTimeout(r, 350));
-                const verifyGoogle = await googleTasksService.getTasks();
-                const anyTitleMatchVerify = verifyGoogle.some(gt => {
-                    if (!gt.title?.trim()) return false;
-                    return this.compareTitles(notionTask.title, gt.title);
-                });
-                if (anyTitleMatchVerify) {
-                    if (this.debugCompletion) logger.debug('Verify backstop: title match after debounce → skip create', { title: notionTask.title });
-                    continue;
+        // Notes sync (ID-paired): three-way merge against the last synced notes, latest-wins until one exists
+        for (const pair of pairs) {
+            for (const op of this.planPairNotes(pair)) planned(pair, op);
+        }
+
+        // Cross-links (Notion URL footer in Google notes, Google link property in Notion)
+        for (const pair of pairs) {
+            const notesPushed = operations.some(op => op.field === 'notes' && op.target === 'google' && op.notionId === pair.notion.id);
+            for (const op of this.planPairLinks(pair, notesPushed)) planned(pair, op);
+        }
+
+        // Deletion propagation (stored pairs with one side archived/deleted)
+        operations.push(...await this.planDeletions(listPair, orphans, deletionBudget));
+
+        // Notion-only → Google (unmapped tasks with no unmapped title match)
+        const notionOnlyTasks = notionTasks.filter(nt => {
+            if (!nt.title?.trim()) return false;
+            if (mappedNotionIds.has(nt.id)) return false;
+            if (this.createSuppressed('notion', nt)) return false;
+
+            // If completed in Notion, do not create on Google (creation path)
+            if (nt.completed) {
+                if (this.debugCompletion) logger.debug('Guard: completed in Notion → skip create', { title: nt.title });
+                return false;
+            }
+
+            return true;
+        });
+
+        // Title match against Google tasks that are not already paired with another page
+        const unmappedTitleMatch = (tasks, title) => tasks.some(gt => {
+            if (!gt.title?.trim() || mappedGoogleIds.has(gt.id)) return false;
+            return this.compareTitles(title, gt.title);
+        });
+
+        // Parents first, so a sub-item's parent already has its Google task when the sub-item is created
+        for (const notionTask of this.parentsFirst(notionOnlyTasks, nt => nt.parentPageId)) {
+            const targetListId = this.targetTaskListId(listPair, notionTask);
+
+            operations.push({
+                pair: listPair.name,
+                type: 'create',
+                target: 'google',
+                direction: 'notion → google',
+                title: notionTask.title,
+                notionId: notionTask.id,
+                listId: targetListId,
+                reason: 'Open Notion task has no paired Google task',
+                timestamps: { notionEdited: notionTask.lastModified },
+                apply: async () => {
+                    // Backstop: JIT fresh fetch and title check to avoid races
+                    const freshGoogle = await this.fetchGoogleTasks(targetListId);
+                    if (unmappedTitleMatch(freshGoogle, notionTask.title)) {
+                        if (this.debugCompletion) logger.debug('Backstop: title match in fresh snapshot → skip create', { title: notionTask.title });
+                        return false;
+                    }
+
+                    // Small debounce, then re-check once more
+                    await new Promise(r => setTimeout(r, 350));
+                    const verifyGoogle = await this.fetchGoogleTasks(targetListId);
+                    if (unmappedTitleMatch(verifyGoogle, notionTask.title)) {
+                        if (this.debugCompletion) logger.debug('Verify backstop: title match after debounce → skip create', { title: notionTask.title });
+                        return false;
+                    }
+
+                    // if (this.debugCompletion) logger.info('Create Google from Notion', {
+                    //     title: notionTask.title,
+                    //     completed: notionTask.completed
+                    // });
+
+                    const parent = hierarchy ? this.googleParentFor(notionTask.parentPageId, targetListId, googleById) : null;
+                    const googleTask = await googleTasksService.createTask({
+                        title: notionTask.title,
+                        completed: notionTask.completed,
+                        due: this.normalizeDue(notionTask.due),
+                        notes: addNotesFooter(this.prepareGoogleNotes(notionTask.notes, notionTask.url), notionTask.url),
+                        parent: parent || undefined
+                    }, targetListId);
+                    googleById.set(googleTask.id, googleTask);
+
+                    // Link the page back to its new Google task
+                    const linkedNotion = notionTask.googleLink
+                        ? await notionService.updateTask(notionTask.id, { googleTask }, notionTask.parent)
+                        : notionTask;
+
+                    taskMappings.link({
+                        notionId: notionTask.id,
+                        googleId: googleTask.id,
+                        listId: targetListId,
+                        pair: listPair.name,
+                        title: notionTask.title,
+                        notionLastEdited: linkedNotion.lastModified,
+                        googleUpdated: googleTask.lastModified,
+                        baseNotes: (notionTask.notes || '').trim()
+                    });
+                    mappedGoogleIds.add(googleTask.id);
+                    return { googleId: googleTask.id };
+                }
+            });
+        }
+
+        // Google-only → Notion (unmapped open tasks only)
+        const googleOnlyOpen = googleTasks.filter(gt => {
+            if (!gt.title?.trim()) return false;
+            if (mappedGoogleIds.has(gt.id)) return false;
+            if (this.createSuppressed('google', gt)) return false;
+            if (gt.completed) return false; // create in Notion only for active tasks
+            return true;
+        });
+
+        for (const googleTask of this.parentsFirst(googleOnlyOpen, gt => gt.parent)) {
+            operations.push({
+                pair: listPair.name,
+                type: 'create',
+                target: 'notion',
+                direction: 'google → notion',
+                title: googleTask.title,
+                googleId: googleTask.id,
+                listId: googleTask.listId,
+                reason: 'Open Google task has no paired Notion page',
+                timestamps: { googleUpdated: googleTask.lastModified },
+                apply: async () => {
+                    // Backstop: fetch latest Notion and check again by title among unmapped pages
+                    const freshNotion = await this.fetchNotionTasks(source);
+                    const titleExists = freshNotion.some(nt => {
+                        if (!nt.title?.trim() || taskMappings.findByNotionId(nt.id)) return false;
+                        return this.compareTitles(nt.title, googleTask.title);
+                    });
+                    if (titleExists) {
+                        if (this.debugCompletion) logger.debug('Backstop (Notion): title exists → skip create', { title: googleTask.title });
+                        return false;
+                    }
+
+                    // if (this.debugCompletion) logger.info('Create Notion from Google', {
+                    //     title: googleTask.title,
+                    //     completed: googleTask.completed
+                    // });
+
+                    const notionTask = await notionService.createTask({
+                        title: googleTask.title,
+                        completed: false, // active on Google => reopen value (e.g. "To Do") in Notion
+                        due: googleTask.due || null,
+                        notes: googleTask.notes || '',
+                        selects: this.routingSelects(listPair, googleTask.listId),
+                        parentPageId: hierarchy ? this.notionParentFor(googleTask.parent) || undefined : undefined,
+                        googleTask
+                    }, source);
+
+                    // Footer linking the Google task to its new Notion page
+                    const linkedGoogle = notionTask.url
+                        ? await googleTasksService.updateTask(googleTask.id, { notes: addNotesFooter(googleTask.notes, notionTask.url) }, googleTask.listId)
+                        : googleTask;
+
+                    taskMappings.link({
+                        notionId: notionTask.id,
+                        googleId: googleTask.id,
+                        listId: googleTask.listId,
+                        pair: listPair.name,
+                        title: googleTask.title,
+                        notionLastEdited: notionTask.lastModified,
+                        googleUpdated: linkedGoogle.lastModified,
+                        baseNotes: (googleTask.notes || '').trim()
+                    });
+                    return { notionId: notionTask.id };
                 }
+            });
+        }
+
+        // A targeted run acts on its pages only; anything else waits for the next full run
+        if (targeted) {
+            return {
+                listPair,
+                pairs: pairs.filter(pair => notionPages.has(pair.notion.id)),
+                operations: operations.filter(op => notionPages.has(op.notionId))
+            };
+        }
+
+        return { listPair, pairs, operations };
+    }
+
+    // A revert removed this task's copy; it is not created again until edited after the revert
+    createSuppressed(side, task) {
+        const suppression = taskMappings.findSuppression(side, task.id);
+        if (!suppression) return false;
+        const editedAfter = Date.parse(task.lastModified) > Date.parse(suppression.since) + this.recencySkewMs;
+        if (!editedAfter && this.debugCompletion) logger.debug('Guard: copy removed by a revert → skip create', { title: task.title, side, revertRunId: suppression.revertRunId });
+        return !editedAfter;
+    }
+
+    // Plan entry for an already-paired task, with the timestamps that decided it
+    pairOperation(listPair, pair, op) {
+        return {
+            pair: listPair.name,
+            type: op.type,
+            field: op.field,
+            target: op.target,
+            direction: op.target === 'google' ? 'notion → google' : 'google → notion',
+            title: pair.notion.title,
+            notionId: pair.notion.id,
+            googleId: pair.google.id,
+            listId: pair.google.listId,
+            timestamps: { notionEdited: pair.notion.lastModified, googleUpdated: pair.google.lastModified },
+            ...op
+        };
+    }
+
+    // Execution phase: run the planned operations in order, then record the
+    // post-sync state of every pair. Each operation is added to `journal` as it
+    // runs. Returns counts of applied operations.
+    async executePlan(plan, journal = []) {
+        let created = 0, updated = 0, deleted = 0;
+        const conflictedPairs = new Set();
+
+        for (const op of plan.operations) {
+            let applied;
+            try {
+                applied = await op.apply();
+            } catch (error) {
+                journal.push(this.journalEntry(op, 'failed', error));
+                throw error;
+            }
+            // Creates return the IDs of the new pair
+            journal.push(this.journalEntry(applied && typeof applied === 'object' ? { ...op, ...applied } : op, applied === false ? 'skipped' : 'applied'));
+            if (applied === false) continue;
+
+            if (op.type === 'create') created++;
+            else if (op.type === 'delete') deleted++;
+            else updated++;
+
+            if (op.conflicts > 0) conflictedPairs.add(op.notionId);
+        }
+        this.stats.notesConflicts += conflictedPairs.size;
+
+        // Remember what both sides looked like after this run
+        for (const pair of plan.pairs) {
+            if (!taskMappings.findByNotionId(pair.notion.id)) continue;
+            const notion = pair.updatedNotion || pair.notion;
+            const google = pair.updatedGoogle || pair.google;
+            taskMappings.touch(pair.mapping, {
+                title: notion.title,
+                notionLastEdited: notion.lastModified,
+                googleUpdated: google.lastModified,
+                // Remember the open status (e.g. "In Progress") so a reopen from Google can restore it
+                openStatus: !notion.completed && typeof notion.originalStatus === 'string' ? notion.originalStatus : undefined
+            });
+        }
+
+        return { created, updated, deleted, pairs: plan.pairs.length };
+    }
+
+    // Plan entry as returned to API callers (no functions, no notes content)
+    serializeOperation(op) {
+        const { apply, values, ...rest } = op;
+        return rest;
+    }
+
+    // Run history entry for an executed operation: task IDs, field, old and new values
+    journalEntry(op, status, error) {
+        const values = op.values || { from: op.from, to: op.to };
+        const entry = {
+            at: new Date().toISOString(),
+            pair: op.pair,
+            type: op.type,
+            field: op.field,
+            target: op.target,
+            title: op.title,
+            notionId: op.notionId || null,
+            googleId: op.googleId || null,
+            listId: op.listId || null,
+            from: values.from ?? null,
+            to: values.to ?? null,
+            status
+        };
+        if (op.chars) entry.chars = op.chars;
+        if (error) entry.error = error.message;
+        return entry;
+    }
+
+    // Notion tasks of a pair: a full sweep when due, otherwise only pages edited since
+    // the stored watermark, merged into the cached snapshot so callers see the full list
+    async fetchNotionTasks(source) {
+        const { enabled, fullSweepMinutes } = config.sync.incremental;
+        if (!enabled) return notionService.getTasks(source);
+
+        const dataSourceId = await notionService.initialize(source);
+        const key = `notion:${dataSourceId}`;
+        const fetchedAt = new Date().toISOString();
+
+        if (taskSnapshots.isFullSweepDue(key, fullSweepMinutes * 60 * 1000)) {
+            if (this.debugCompletion) logger.debug('Notion full sweep', { dataSourceId });
+            const tasks = await notionService.getTasks(source);
+            return taskSnapshots.replace(key, tasks, fetchedAt);
+        }
+
+        const watermark = taskSnapshots.get(key).watermark;
+        const editedAfter = new Date(Date.parse(watermark) - NOTION_WATERMARK_OVERLAP_MS).toISOString();
+        const changed = await notionService.getTasks(source, { editedAfter });
+        // The query leaves out trashed pages, so they are asked for separately; pages moved
+        // to another data source only drop out of the snapshot at the next full sweep
+        const trashedIds = await notionService.getTrashedPageIds(source, { editedAfter });
+        return taskSnapshots.merge(key, changed, fetchedAt, trashedIds);
+    }
+
+    // Targeted fetch: overlay the given pages (null = gone) on the cached snapshot without
+    // moving its watermark, so the next incremental fetch still sees every page edited
+    // meanwhile. Null when there is no snapshot to overlay; the caller then fetches normally.
+    async fetchNotionPages(source, notionPages) {
+        const dataSourceId = await notionService.initialize(source);
+        const key = `notion:${dataSourceId}`;
+        if (!config.sync.incremental.enabled || !taskSnapshots.get(key)?.watermark) return null;
+
+        const changed = [];
+        const removedIds = [];
+        for (const [pageId, page] of notionPages) {
+            // Trashed, deleted or moved to another data source
+            if (!page || page.archived || page.parent?.dataSourceId !== dataSourceId) {
+                removedIds.push(pageId);
+                continue;
+            }
+            const comments = await notionService.getPageComments(pageId);
+            changed.push({ ...page, comments, notes: comments });
+        }
+        return taskSnapshots.merge(key, changed, null, removedIds);
+    }
+
+    // The pages that belong to a list pair: by data source, or by a stored mapping for
+    // pages that are gone or moved away
+    async pagesInListPair(listPair, notionPages) {
+        const dataSourceId = await notionService.initialize({ databaseId: listPair.databaseId, dataSourceId: listPair.dataSourceId });
+        const pages = new Map();
+        for (const [pageId, page] of notionPages) {
+            const mapping = taskMappings.findByNotionId(pageId);
+            if (page?.parent?.dataSourceId === dataSourceId || (mapping && this.mappingInListPair(mapping, listPair))) {
+                pages.set(pageId, page);
+            }
+        }
+        return pages;
+    }
+
+    // Google tasks of a list: a full sweep when due, otherwise only tasks updated since
+    // the stored watermark (updatedMin, tombstones included), merged into the cached snapshot
+    async fetchGoogleTasks(taskListId) {
+        const { enabled, fullSweepMinutes } = config.sync.incremental;
+        if (!enabled) return googleTasksService.getTasks(taskListId);
+
+        const key = `google:${taskListId}`;
+        const fetchedAt = new Date().toISOString();
+
+        if (taskSnapshots.isFullSweepDue(key, fullSweepMinutes * 60 * 1000)) {
+            if (this.debugCompletion) logger.debug('Google full sweep', { taskListId });
+            const tasks = await googleTasksService.getTasks(taskListId);
+            return taskSnapshots.replace(key, tasks, fetchedAt);
+        }
+
+        const watermark = taskSnapshots.get(key).watermark;
+        const updatedMin = new Date(Date.parse(watermark) - GOOGLE_WATERMARK_OVERLAP_MS).toISOString();
+        const changed = await googleTasksService.getTasks(taskListId, { updatedMin });
+        const live = changed.filter(task => !task.deleted);
+        const removedIds = changed.filter(task => task.deleted).map(task => task.id);
+        return taskSnapshots.merge(key, live, fetchedAt, removedIds);
+    }
+
+    // Legacy mappings (stored before list pairs existed) belong to the first pair
+    mappingInListPair(mapping, listPair) {
+        return (mapping.pair || config.sync.pairs[0].name) === listPair.name;
+    }
+
+    // Google parent a Notion sub-item should have: the Google task paired with its parent
+    // page, lifted to that task's own parent since Google Tasks nests only one level.
+    // null for top-level; undefined when it cannot be expressed (parent unpaired or in another list).
+    googleParentFor(parentPageId, taskListId, googleById) {
+        if (!parentPageId) return parentPageId === undefined ? undefined : null;
+        const mapping = taskMappings.findByNotionId(parentPageId);
+        const parentTask = mapping && googleById.get(mapping.googleId);
+        if (!parentTask || parentTask.listId !== taskListId) return undefined;
+        return parentTask.parent || parentTask.id;
+    }
+
+    // Notion parent page a Google subtask should have: null for top-level, undefined if its parent is unpaired
+    notionParentFor(googleParentId) {
+        if (!googleParentId) return null;
+        return taskMappings.findByGoogleId(googleParentId)?.notionId;
+    }
+
+    // Order tasks so that any parent in the list comes before its children
+    parentsFirst(tasks, parentOf) {
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        const depth = (task, seen = new Set()) => {
+            const parent = byId.get(parentOf(task));
+            if (!parent || seen.has(parent.id)) return 0;
+            seen.add(task.id);
+            return depth(parent, seen) + 1;
+        };
+        return tasks
+            .map((task, index) => ({ task, index, depth: depth(task) }))
+            .sort((a, b) => a.depth - b.depth || a.index - b.index)
+            .map(entry => entry.task);
+    }
+
+    // Every Google list a pair reads: its own list plus any routing targets
+    listPairTaskListIds(listPair) {
+        const ids = [listPair.taskListId, ...Object.values(listPair.routing?.lists || {})];
+        return [...new Set(ids)];
+    }
+
+    // Google list a Notion task belongs in, from the pair's routing select property
+    targetTaskListId(listPair, notionTask) {
+        const routing = listPair.routing;
+        if (!routing) return listPair.taskListId;
+        const option = notionTask.selects?.[routing.property];
+        return (option && routing.lists[option]) || listPair.taskListId;
+    }
+
+    // Routing property value for a task created in Notion from a routed Google list
+    routingSelects(listPair, taskListId) {
+        const routing = listPair.routing;
+        if (!routing) return undefined;
+        const option = Object.keys(routing.lists).find(name => routing.lists[name] === taskListId);
+        return option ? { [routing.property]: option } : undefined;
+    }
 
-                // if (this.debugCompletion) logger.info('Create Google from Notion', {
-                //     title: notionTask.title,
-                //     completed: notionTask.completed
-                // });
+    // Notes for one pair. With a stored base (the notes both sides last agreed on),
+    // a one-sided edit flows to the other side and edits on both sides are merged
+    // line by line, with conflict markers where they overlap. Without a base the
+    // newer side wins. Returns the planned notes operations (zero, one or two).
+    planPairNotes(pair) {
+        const { notion: nt, google: gt, mapping } = pair;
+        const notionNotes = (nt.notes || '').trim();
+        const googleNotes = (gt.notes || '').trim();
 
-                let notesToSync = notionTask.notes || '';
-                const MAX_CREATE_LENGTH = 8000;
-                if (notesToSync.length > MAX_CREATE_LENGTH) {
-                    notesToSync = this.createSmartTruncation(notesToSync, MAX_CREATE_LENGTH);
+        if (notionNotes === googleNotes) {
+            taskMappings.touch(mapping, { baseNotes: notionNotes });
+            return [];
+        }
+
+        const base = mapping.baseNotes;
+        if (typeof base === 'string') {
+            const notionChanged = notionNotes !== base;
+            // Google holds the truncated form of long notes, so compare against that
+            const googleChanged = googleNotes !== this.prepareGoogleNotes(base, nt.url).trim();
+
+            if (!notionChanged && !googleChanged) return [];
+            if (notionChanged && !googleChanged) return this.planNotesPush(pair, notionNotes, 'Notion notes edited since last sync');
+            if (googleChanged && !notionChanged) return this.planNotesPull(pair, googleNotes, 'Google notes edited since last sync');
+
+            // Both edited. A truncated Google copy cannot be merged line by line; fall through to latest-wins.
+            if (!this.isTruncatedNotes(googleNotes)) {
+                const { text, conflicts } = mergeLines(base, notionNotes, googleNotes, { oursLabel: 'Notion', theirsLabel: 'Google' });
+                const reason = conflicts > 0
+                    ? `Notes edited on both sides; ${conflicts} overlapping edit(s) written with conflict markers`
+                    : 'Notes edited on both sides; merged cleanly';
+
+                const ops = [];
+                if (text !== notionNotes) ops.push(...this.planNotesPull(pair, text, reason, conflicts));
+                if (text !== googleNotes) ops.push(...this.planNotesPush(pair, text, reason, conflicts));
+                return ops;
+            }
+        }
+
+        if (this.notionBeatsGoogle(nt, gt)) {
+            return this.planNotesPush(pair, notionNotes, 'Notion edited more recently (latest-wins)');
+        }
+
+        if (this.googleBeatsNotion(gt, nt)) {
+            return this.planNotesPull(pair, googleNotes, 'Google edited more recently (latest-wins)');
+        }
+
+        return [];
+    }
+
+    planNotesPush(pair, notes, reason, conflicts = 0) {
+        const { notion: nt, google: gt } = pair;
+        const googleNotes = (gt.notes || '').trim();
+        if (this.prepareGoogleNotes(notes).length === 0) return [];
+
+        return [{
+            type: 'update', field: 'notes', target: 'google', reason, conflicts,
+            chars: { from: googleNotes.length, to: notes.length },
+            values: { from: googleNotes, to: notes },
+            apply: async () => {
+                if (conflicts > 0) {
+                    logger.warn('Notes conflict (edited on both sides); markers written to both', { title: nt.title, conflicts });
+                } else if (this.debugCompletion) {
+                    // logger.info('Notes change (Notion → Google)', {
+                    //     title: nt.title,
+                    //     notionEdited: nt.lastModified,
+                    //     googleUpdated: gt.lastModified,
+                    //     notionLen: notes.length,
+                    //     googleLen: googleNotes.length
+                    // });
                 }
+                const result = await this.updateGoogleNotes(pair.google, notes, nt.url);
+                if (!result) return false;
+                pair.updatedGoogle = result;
+                taskMappings.touch(pair.mapping, { baseNotes: notes });
+            }
+        }];
+    }
 
-                await googleTasksService.createTask({
-                    title: notionTask.title,
-                    completed: notionTask.completed,
-                    due: notionTask.due,
-                    notes: notesToSync
-                });
+    planNotesPull(pair, notes, reason, conflicts = 0) {
+        const { notion: nt, google: gt } = pair;
+        const notionNotes = (nt.notes || '').trim();
 
-                created++;
+        // Never wipe a Notion body because the Google task has no notes
+        if (!notes) return [];
+
+        // Google holds only the truncated copy of a long Notion body; nothing to bring back
+        if (this.isTruncatedNotes(notes)) {
+            if (this.debugCompletion) logger.debug('Guard: Google notes are a truncated Notion copy → skip notes pull', { title: nt.title });
+            return [];
+        }
+
+        return [{
+            type: 'update', field: 'notes', target: 'notion', reason, conflicts,
+            chars: { from: notionNotes.length, to: notes.length },
+            values: { from: notionNotes, to: notes },
+            apply: async () => {
+                if (this.debugCompletion) {
+                    logger.info('Notes change (Google → Notion)', {
+                        title: nt.title,
+                        reason,
+                        googleUpdated: gt.lastModified,
+                        notionEdited: nt.lastModified,
+                        notionLen: notionNotes.length,
+                        googleLen: notes.length
+                    });
+                }
+                const result = await this.updateNotionNotes(pair.notion, notes);
+                if (!result) return false;
+                pair.updatedNotion = result;
+                taskMappings.touch(pair.mapping, { baseNotes: notes });
             }
+        }];
+    }
 
-            // Google-only → Notion (title-only guards, open tasks only)
-            const googleOnlyOpen = googleTasks.filter(gt => {
-                if (!gt.title?.trim()) return false;
-                if (gt.completed) return false; // create in Notion only for active tasks
-                const key = this.normalizeTitle(gt.title);
-                const existsInNotion = notionTitleSet.has(key);
-                if (existsInNotion) return false;
-                return true;
+    // Cross-links for one pair: the Notion page URL as the footer of the Google notes,
+    // and the Google task in the Notion link property. Only written when missing or
+    // out of date; a notes push in the same run already writes the footer.
+    planPairLinks(pair, notesPushed) {
+        const { notion: nt, google: gt } = pair;
+        const ops = [];
+
+        if (nt.url && gt.notionUrl !== nt.url && !notesPushed) {
+            ops.push({
+                type: 'update', field: 'link', target: 'google',
+                from: gt.notionUrl, to: nt.url,
+                reason: gt.notionUrl ? 'Notion link in Google notes is out of date' : 'Google notes have no Notion link',
+                apply: async () => {
+                    const current = pair.updatedGoogle || gt;
+                    pair.updatedGoogle = await googleTasksService.updateTask(current.id, { notes: addNotesFooter(current.notes, nt.url) }, current.listId);
+                }
             });
+        }
 
-            for (const googleTask of googleOnlyOpen) {
-                // Backstop: fetch latest Notion and check again by title
-                const freshNotion = await notionService.getTasks();
-                const titleExists = freshNotion.some(nt => {
-                    if (!nt.title?.trim()) return false;
-                    return this.compareTitles(nt.title, googleTask.title);
-                });
-                if (titleExists) {
-                    if (this.debugCompletion) logger.debug('Backstop (Notion): title exists → skip create', { title: googleTask.title });
-                    continue;
+        const expected = nt.googleLink && notionService.googleLinkValue(nt.googleLink.type, gt);
+        if (expected && nt.googleLink.value !== expected) {
+            ops.push({
+                type: 'update', field: 'link', target: 'notion',
+                from: nt.googleLink.value, to: expected,
+                reason: nt.googleLink.value ? 'Google link in Notion is out of date' : 'Notion page has no Google link',
+                apply: async () => {
+                    pair.updatedNotion = await notionService.updateTask(nt.id, { googleTask: gt }, nt.parent);
                 }
+            });
+        }
+        return ops;
+    }
 
-                // if (this.debugCompletion) logger.info('Create Notion from Google', {
-                //     title: googleTask.title,
-                //     completed: googleTask.completed
-                // });
+    // Decide what to do with stored pairs whose tasks are missing from this fetch.
+    // A side only counts as deleted once verified directly (Notion archive/trash or 404,
+    // Google deleted flag); the other side is removed after the grace period. A Google 404
+    // is not enough: a task moved to a list this pair does not sync is not found either.
+    // Grace-period bookkeeping happens here; the deletions themselves are planned, at most
+    // `deletionBudget.remaining` of them (the budget is used up as they are planned).
+    async planDeletions(listPair, orphans, deletionBudget) {
+        const { enabled, graceMinutes, maxPerRun } = config.sync.deletion;
+        const graceMs = graceMinutes * 60 * 1000;
+        const operations = [];
+        let deferred = 0;
 
-                await notionService.createTask({
-                    title: googleTask.title,
-                    completed: false, // active on Google => "To Do" in Notion
-                    due: googleTask.due || null,
-                    notes: googleTask.notes || ''
-                });
+        for (const { mapping, notion, google } of orphans) {
+            const notionPage = notion || await notionService.getPage(mapping.notionId);
+            const googleTask = google || await googleTasksService.getTask(mapping.googleId, mapping.listId);
+            const notionGone = !notionPage || notionPage.archived;
+            const googleGone = Boolean(googleTask?.deleted);
 
-                created++;
+            if (!googleTask && !notionGone) {
+                // Moved to another list, or purged long after its deletion: keep the pair and the page
+                if (this.debugCompletion) logger.debug('Google task not found in its list; pair kept', { title: mapping.title, googleId: mapping.googleId, listId: mapping.listId });
+                if (mapping.missingSince) taskMappings.clearMissing(mapping);
+                continue;
             }
 
-            await this.updateSyncStats(created, updated, syncStartTime);
+            if (!notionGone && !googleGone) {
+                // Only missing from the listing (e.g. filtered out); keep the pair
+                if (mapping.missingSince) taskMappings.clearMissing(mapping);
+                continue;
+            }
 
-            if (this.debugCompletion) {
-                logger.info('Sync done', { created, updatedCompletion: updated, normalizeTitles: this.normalizeTitles, recencySkewMs: this.recencySkewMs });
-                console.log('Sync done', { created, updatedCompletion: updated, normalizeTitles: this.normalizeTitles, recencySkewMs: this.recencySkewMs });
+            if (notionGone && (googleGone || !googleTask)) {
+                if (this.debugCompletion) logger.info('Pair removed (both sides gone)', { title: mapping.title });
+                taskMappings.remove(mapping);
+                continue;
             }
 
-        } catch (error) {
-            logger.error('SYNC FAILED', { message: error.message, stack: error.stack });
-            this.stats.errors++;
-            throw error;
-        } finally {
-            this.isRunning = false;
-            const endedAt = new Date();
-            console.log(`SYNC END ${endedAt.toISOString()}`);
+            // An edit after the last sync wins over the deletion: unpair and let the create passes decide
+            const survivor = notionGone ? googleTask : notionPage;
+            const survivorSyncedAt = notionGone ? mapping.googleUpdated : mapping.notionLastEdited;
+            if (survivorSyncedAt && Date.parse(survivor.lastModified || 0) > Date.parse(survivorSyncedAt) + this.recencySkewMs) {
+                logger.info('Pair unlinked (surviving side edited after deletion)', { title: mapping.title, deletedSide: notionGone ? 'notion' : 'google' });
+                taskMappings.remove(mapping);
+                continue;
+            }
+
+            if (!enabled) continue;
+
+            taskMappings.markMissing(mapping, notionGone ? 'notion' : 'google');
+            if (Date.now() - Date.parse(mapping.missingSince) < graceMs) {
+                if (this.debugCompletion) logger.debug('Deletion within grace period', { title: mapping.title, missingSide: mapping.missingSide, missingSince: mapping.missingSince });
+                continue;
+            }
+
+            if (deletionBudget.remaining <= 0) {
+                deferred++;
+                continue;
+            }
+            deletionBudget.remaining--;
+
+            operations.push({
+                pair: listPair.name,
+                type: 'delete',
+                target: notionGone ? 'google' : 'notion',
+                direction: notionGone ? 'notion → google' : 'google → notion',
+                title: mapping.title,
+                notionId: mapping.notionId,
+                googleId: mapping.googleId,
+                listId: mapping.listId,
+                reason: notionGone
+                    ? `Notion page archived/deleted since ${mapping.missingSince} (grace ${graceMinutes} min elapsed)`
+                    : `Google task deleted since ${mapping.missingSince} (grace ${graceMinutes} min elapsed)`,
+                timestamps: { notionLastEdited: mapping.notionLastEdited, googleUpdated: mapping.googleUpdated, missingSince: mapping.missingSince },
+                apply: async () => {
+                    if (notionGone) {
+                        logger.info('Deletion (Notion archive → Google delete)', { title: mapping.title, googleId: mapping.googleId });
+                        await googleTasksService.deleteTask(mapping.googleId, mapping.listId);
+                    } else {
+                        logger.info('Deletion (Google delete → Notion archive)', { title: mapping.title, notionId: mapping.notionId });
+                        await notionService.archiveTask(mapping.notionId);
+                    }
+                    taskMappings.remove(mapping);
+                }
+            });
+        }
+
+        if (deferred > 0) {
+            logger.warn('Deletion cap reached; remaining deletions deferred to next run', { pair: listPair.name, maxPerRun, deferred });
         }
+        return operations;
     }
 
-    createSmartTruncation(content, maxLength) {
+    // Cut long notes at a line break and point to the full Notion page
+    createSmartTruncation(content, maxLength, notionUrl) {
         if (content.length <= maxLength) return content;
-        const truncateAt = maxLength - 100;
+        const truncateAt = maxLength - 100 - (notionUrl || '').length;
         const lines = content.substring(0, truncateAt).split('\n');
         if (lines.length > 1) lines.pop();
         const truncated = lines.join('\n');
-        const suffix = `\n\n[... ${content.length - truncated.length} more characters in full Notion content ...]`;
+        const remaining = content.length - truncated.length;
+        const suffix = notionUrl
+            ? `\n\n[... ${remaining} more characters, full notes in Notion: ${notionUrl} ...]`
+            : `\n\n[... ${remaining} more characters in full Notion content ...]`;
         return truncated + suffix;
     }
 
-    async updateNotionCompletion(notionTask, completed) {
-        await notionService.updateTask(notionTask.id, { completed });
+    // True when notes end with the marker added by createSmartTruncation (with or without the page link)
+    isTruncatedNotes(notes) {
+        return /\[\.\.\. \d+ more characters(?: in full Notion content|, full notes in Notion: \S+) \.\.\.\]\s*$/.test(notes || '');
+    }
+
+    async updateNotionTitle(notionTask, title) {
+        return notionService.updateTask(notionTask.id, { title }, notionTask.parent);
+    }
+
+    async updateGoogleTitle(googleTask, title) {
+        return googleTasksService.updateTask(googleTask.id, { title }, googleTask.listId);
+    }
+
+    async updateNotionDue(notionTask, due) {
+        // Keep the end of a Notion date range when it still follows the new start
+        const dueEnd = due && notionTask.dueEnd && this.normalizeDue(notionTask.dueEnd) >= due ? notionTask.dueEnd : null;
+        return notionService.updateTask(notionTask.id, { due, dueEnd }, notionTask.parent);
+    }
+
+    async updateGoogleDue(googleTask, due) {
+        return googleTasksService.updateTask(googleTask.id, { due }, googleTask.listId);
+    }
+
+    // Rewrites the page's text blocks; returns the refreshed page, or null if the page was left untouched
+    async updateNotionNotes(notionTask, notes) {
+        const written = await notionService.updatePageComments(notionTask.id, notes);
+        if (!written) return null;
+        const page = await notionService.getPage(notionTask.id);
+        return page ? { ...page, notes } : null;
+    }
+
+    // `reopenStatus` is the status the page had before it was completed
+    async updateNotionCompletion(notionTask, completed, reopenStatus) {
+        const updated = await notionService.updateTask(notionTask.id, { completed, reopenStatus }, notionTask.parent);
         // if (this.debugCompletion) logger.info('Notion completion updated', { title: notionTask.title, completed });
+        return updated;
     }
 
     async updateGoogleCompletion(googleTask, completed) {
-        await googleTasksService.updateTask(googleTask.id, { completed });
+        const updated = await googleTasksService.updateTask(googleTask.id, { completed }, googleTask.listId);
         // if (this.debugCompletion) logger.info('Google completion updated', { title: googleTask.title, completed });
+        return updated;
     }
 
-    async updateGoogleNotes(googleTask, notes) {
-        // quiet in focused mode
+    // Notes as they are stored on Google (without the link footer): truncated past the 8,000-char limit
+    prepareGoogleNotes(notes, notionUrl) {
         const MAX = 8000;
         let processed = notes || '';
-        if (processed.length > MAX) processed = this.createSmartTruncation(processed, MAX);
-        if (processed.length === 0) return;
-        await googleTasksService.updateTask(googleTask.id, { notes: processed });
+        if (processed.length > MAX) processed = this.createSmartTruncation(processed, MAX, notionUrl);
+        return processed;
+    }
+
+    async updateGoogleNotes(googleTask, notes, notionUrl) {
+        // quiet in focused mode
+        const processed = this.prepareGoogleNotes(notes, notionUrl);
+        if (processed.length === 0) return null;
+        return googleTasksService.updateTask(googleTask.id, { notes: addNotesFooter(processed, notionUrl) }, googleTask.listId);
     }
 
-    async updateSyncStats(created, updated, syncStartTime) {
+    async updateSyncStats(created, updated, deleted, syncStartTime) {
         this.stats.totalSyncs++;
         this.stats.lastSyncTime = syncStartTime;
         this.stats.tasksCreated += created;
         this.stats.tasksUpdated += updated;
+        this.stats.tasksDeleted += deleted;
         if (this.debugCompletion) {
             const dur = Date.now() - syncStartTime.getTime();
             logger.debug('Sync duration', { ms: dur });
@@ -353,11 +1303,31 @@ class SyncService {
             isRunning: this.isRunning,
             lastSync: this.lastSync,
             stats: this.stats,
-            syncType: 'Google completion-focused sync (title-only, latest-wins, notes sync, bi-directional completion and creates)',
+            syncType: 'ID-mapped sync (title bootstrap, latest-wins, bi-directional notes sync, renames, completion, due dates and creates)',
+            listPairs: config.sync.pairs.map(listPair => ({
+                name: listPair.name,
+                databaseId: listPair.databaseId,
+                dataSourceId: listPair.dataSourceId,
+                taskListId: listPair.taskListId,
+                routing: listPair.routing,
+                properties: listPair.properties
+            })),
             rules: {
-                completion: 'Both directions by title with recency check (open-first)',
-                notes: 'Notion → Google by title with recency check',
-                guards: 'Skip create if completed in Notion or title exists in Google/Notion',
+                pairing: 'Stored Notion page ↔ Google task IDs per list pair; unmapped tasks bootstrap by title (open-first)',
+                fetch: config.sync.incremental.enabled
+                    ? `Incremental (Notion last_edited_time / Google updatedMin watermarks), full sweep every ${config.sync.incremental.fullSweepMinutes} min`
+                    : 'Full fetch every run',
+                routing: 'Optional Notion select property routes tasks to Google lists; changing it moves the Google task',
+                titles: 'Renames propagate both directions on paired tasks with recency check',
+                completion: 'Both directions on paired tasks with recency check; any Notion status in the Complete group counts as done, reopening restores the status held before completion',
+                due: 'Both directions on paired tasks with recency check (range start, clears included)',
+                subtasks: 'Notion "Parent item" relation ↔ Google parent, both directions with recency check; creates keep the hierarchy (Google nests one level)',
+                links: 'Notion page URL as the last line of Google notes (ignored when comparing notes); Google task link or ID in the optional Notion link property',
+                notes: 'Three-way merge against last synced notes (conflict markers on overlap); latest-wins until a base exists. Notion non-text blocks kept, truncated Google copies never pulled back',
+                deletions: config.sync.deletion.enabled
+                    ? `Notion archive ↔ Google delete after ${config.sync.deletion.graceMinutes} min grace, max ${config.sync.deletion.maxPerRun} per run`
+                    : 'disabled',
+                guards: 'Skip create if mapped, completed in Notion, or title exists among unmapped Google/Notion tasks',
                 normalization: this.normalizeTitles ? 'normalized' : 'exact',
                 recencySkewMs: this.recencySkewMs
             }
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// A trigger credential may also read
+const SCOPES = ['read', 'trigger'];
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Bearer token "<payload>.<signature>": base64url JSON { sub, scope, iat, exp? } and its
+// HMAC-SHA256 under AUTH_TOKEN_SECRET. `expiresInSeconds` 0 makes a token that never expires.
+function createToken({ subject, scope, expiresInSeconds = 0 }, secret = config.server.auth.tokenSecret) {
+  if (!secret) throw new Error('AUTH_TOKEN_SECRET is not set');
+  if (!SCOPES.includes(scope)) throw new Error(`scope must be one of ${SCOPES.join(', ')}`);
+
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { sub: subject, scope, iat };
+  if (expiresInSeconds > 0) claims.exp = iat + expiresInSeconds;
+  const payload = base64url(JSON.stringify(claims));
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+function verifyToken(token, secret) {
+  const [payload, signature, ...rest] = token.split('.');
+  if (!secret || !payload || !signature || rest.length > 0) return null;
+  // Hashing first makes both sides the same length for the constant-time compare
+  if (!crypto.timingSafeEqual(sha256(signature), sha256(sign(payload, secret)))) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!SCOPES.includes(claims.scope)) return null;
+  if (claims.exp && claims.exp * 1000 <= Date.now()) return null;
+  return { id: `token:${claims.sub || 'unnamed'}`, scope: claims.scope };
+}
+
+// Whether `presented` is one of `keys`, compared in constant time
+function matchesKey(presented, keys) {
+  const digest = sha256(presented);
+  return keys.reduce((found, key) => crypto.timingSafeEqual(digest, sha256(key)) || found, false);
+}
+
+// The client behind an API key or bearer token: { id, scope }, or null when it is not valid.
+// Keys are identified by a short hash so they never end up in logs.
+function authenticate(credential, auth = config.server.auth) {
+  if (!credential) return null;
+  const keyId = `key:${sha256(credential).toString('hex').slice(0, 8)}`;
+  if (matchesKey(credential, auth.triggerKeys)) return { id: keyId, scope: 'trigger' };
+  if (matchesKey(credential, auth.readKeys)) return { id: keyId, scope: 'read' };
+  return verifyToken(credential, auth.tokenSecret);
+}
+
+function allows(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+module.exports = { SCOPES, createToken, authenticate, allows };
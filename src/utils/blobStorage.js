@@ -0,0 +1,90 @@
+const config = require('../config');
+const logger = require('./logger');
+
+// A lock's lease expires this long after its holder stops renewing it (e.g. a killed instance)
+const LOCK_LEASE_SECONDS = 60;
+
+// Sync state in Azure Blob Storage (config.state.store = blob): one JSON blob per state
+// file, plus lease-based locks shared by every instance using the same container.
+let containerPromise = null;
+
+function container() {
+  if (!containerPromise) {
+    // Only the blob store needs the SDK
+    const { BlobServiceClient } = require('@azure/storage-blob');
+    const { connectionString, container: name } = config.state.blob;
+    const client = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(name);
+    containerPromise = client.createIfNotExists().then(() => client);
+    // Try again on the next call after a failure
+    containerPromise.catch(() => { containerPromise = null; });
+  }
+  return containerPromise;
+}
+
+async function blob(name) {
+  return (await container()).getBlockBlobClient(name);
+}
+
+// Read a JSON blob; a missing blob yields `fallback`, other errors are thrown
+async function readJson(name, fallback = null) {
+  try {
+    const buffer = await (await blob(name)).downloadToBuffer();
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    if (error.statusCode === 404) return fallback;
+    throw error;
+  }
+}
+
+// A blob upload replaces the whole blob at once, so readers never see a partial write
+async function writeJson(name, data) {
+  const body = JSON.stringify(data, null, 2);
+  await (await blob(name)).upload(body, Buffer.byteLength(body), {
+    blobHTTPHeaders: { blobContentType: 'application/json' }
+  });
+}
+
+// Take the lock `name` (a lease on an empty blob). Returns { release } or null when
+// another holder has it. The lease is renewed until released.
+async function acquireLock(name) {
+  const lockBlob = await blob(name);
+  try {
+    await lockBlob.upload('', 0, { conditions: { ifNoneMatch: '*' } });
+  } catch (error) {
+    // Already there (409), or leased by another holder (412)
+    if (error.statusCode !== 409 && error.statusCode !== 412) throw error;
+  }
+
+  const lease = lockBlob.getBlobLeaseClient();
+  try {
+    await lease.acquireLease(LOCK_LEASE_SECONDS);
+  } catch (error) {
+    if (error.statusCode === 409) return null;
+    throw error;
+  }
+
+  const renewal = setInterval(() => {
+    lease.renewLease().catch(error => logger.warn('Renewing a state lock failed', { lock: name, message: error.message }));
+  }, LOCK_LEASE_SECONDS * 1000 / 2);
+  renewal.unref?.();
+
+  return {
+    release: async () => {
+      clearInterval(renewal);
+      await lease.releaseLease().catch(error => logger.warn('Releasing a state lock failed', { lock: name, message: error.message }));
+    }
+  };
+}
+
+// Whether someone holds the lock `name`
+async function isLocked(name) {
+  try {
+    const properties = await (await blob(name)).getProperties();
+    return properties.leaseState === 'leased';
+  } catch (error) {
+    if (error.statusCode === 404) return false;
+    throw error;
+  }
+}
+
+module.exports = { readJson, writeJson, acquireLock, isLocked };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const blobStorage = require('./blobStorage');
+
+// With the blob state store, files in the state directory live in Blob Storage under their relative path
+function blobName(filePath) {
+  if (config.state.store !== 'blob') return null;
+  const relative = path.relative(config.state.dir, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return relative.split(path.sep).join('/');
+}
+
+// Read a JSON file; a missing file yields `fallback`, other errors are thrown
+async function readJson(filePath, fallback = null) {
+  const name = blobName(filePath);
+  if (name) return blobStorage.readJson(name, fallback);
+
+  try {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file first so a crash never leaves a half-written file
+async function writeJsonAtomic(filePath, data) {
+  const name = blobName(filePath);
+  if (name) return blobStorage.writeJson(name, data);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+  await fs.promises.rename(tmp, filePath);
+}
+
+module.exports = { readJson, writeJsonAtomic };
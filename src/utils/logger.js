@@ -1,42 +1,105 @@
-const fs = require('fs');
-const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+const config = require('../config');
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
+// Context of the current sync run ({ runId }), added to every line logged inside it
+const context = new AsyncLocalStorage();
+
+// Task content is replaced by its length, credentials by a placeholder
+const CONTENT_KEYS = /^(notes|comments|baseNotes|commentsText|rich_text)$/i;
+const SECRET_KEYS = /token|secret|password|authorization|api[-_]?key|cookie/i;
+const MAX_DEPTH = 6;
 
-function logFilePath() {
-  const dir = path.join(process.cwd(), 'logs');
-  ensureDir(dir);
-  const d = new Date();
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, '0');
-  const dd = String(d.getDate()).padStart(2, '0');
-  return path.join(dir, `sync-${yyyy}-${mm}-${dd}.log`);
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  const status = error.status ?? error.response?.status;
+  if (status !== undefined) serialized.status = status;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
 }
 
-function write(level, msg, meta) {
-  const ts = new Date().toISOString();
-  let line = `[${ts}] [${level}] ${msg}`;
-  if (meta !== undefined) {
-    try {
-      line += ' ' + (typeof meta === 'string' ? meta : JSON.stringify(meta));
-    } catch {
-      // ignore serialization errors
+// Copy of a meta value that is safe to write: errors expanded, content and secrets redacted
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[circular]';
+  if (depth >= MAX_DEPTH) return '[nested]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => sanitize(item, depth + 1, seen));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEYS.test(key) && item) {
+      result[key] = '[redacted]';
+    } else if (CONTENT_KEYS.test(key) && item) {
+      result[key] = typeof item === 'string' ? `[redacted: ${item.length} chars]` : '[redacted]';
+    } else {
+      result[key] = sanitize(item, depth + 1, seen);
     }
   }
-  try {
-    fs.appendFileSync(logFilePath(), line + '\n', 'utf8');
-  } catch (e) {
-    // fallback to console
-    // eslint-disable-next-line no-console
-    console.error('Logger write failed:', e.message);
-  }
+  return result;
+}
+
+// Callers pass an object, an Error or a string as meta
+function normalizeMeta(meta) {
+  if (meta === undefined) return undefined;
+  if (meta instanceof Error) return { error: serializeError(meta) };
+  if (typeof meta !== 'object' || meta === null) return { detail: meta };
+  return sanitize(meta);
+}
+
+const addRunId = winston.format(info => {
+  const runId = context.getStore()?.runId;
+  if (runId) info.runId = runId;
+  return info;
+});
+
+const pretty = winston.format.printf(({ timestamp, level, message, runId, meta }) => {
+  let line = `[${timestamp}] [${level.toUpperCase()}]${runId ? ` [run ${runId}]` : ''} ${message}`;
+  if (meta !== undefined) line += ' ' + JSON.stringify(meta);
+  return line;
+});
+
+const format = winston.format.combine(
+  winston.format.timestamp(),
+  addRunId(),
+  config.logging.format === 'json' ? winston.format.json() : pretty
+);
+
+const transports = [];
+if (config.logging.files) {
+  transports.push(new winston.transports.DailyRotateFile({
+    dirname: config.logging.dir,
+    filename: 'sync-%DATE%.log',
+    datePattern: 'YYYY-MM-DD',
+    maxSize: config.logging.maxSize,
+    maxFiles: config.logging.maxFiles
+  }));
+}
+if (config.logging.console) {
+  // stderr by default, so command output on stdout stays clean
+  const stderrLevels = config.logging.console === 'stderr' ? Object.keys(winston.config.npm.levels) : [];
+  transports.push(new winston.transports.Console({ stderrLevels }));
+}
+
+// With files and console both off, logging is silenced rather than warned about on every line
+const logger = winston.createLogger({ level: config.logging.level, format, transports, silent: transports.length === 0 });
+
+function write(level, msg, meta) {
+  const normalized = normalizeMeta(meta);
+  logger.log(level, msg, normalized === undefined ? {} : { meta: normalized });
 }
 
 module.exports = {
-  info: (msg, meta) => write('INFO', msg, meta),
-  warn: (msg, meta) => write('WARN', msg, meta),
-  error: (msg, meta) => write('ERROR', msg, meta),
-  debug: (msg, meta) => write('DEBUG', msg, meta),
+  info: (msg, meta) => write('info', msg, meta),
+  warn: (msg, meta) => write('warn', msg, meta),
+  error: (msg, meta) => write('error', msg, meta),
+  debug: (msg, meta) => write('debug', msg, meta),
+
+  // Run fn with `{ runId }` attached to every line it logs (including async work it starts)
+  runWithContext: (store, fn) => context.run(store, fn),
+  runId: () => context.getStore()?.runId || null
 };
@@ -0,0 +1,521 @@
+// Two-way converter between Notion blocks and the Markdown subset used for Google Tasks notes.
+//
+// One line per block (blank lines are ignored), children indented two spaces:
+//   # / ## / ### heading     - item            1. item (renumbered)    - [ ] / - [x] to-do
+//   > quote                  ▸ toggle          ---  divider            ```lang ... ``` code
+// Inline: **bold**, *italic*, ~~strike~~, `code`, <u>underline</u>, [text](url), $equation$.
+// A line ending in "\" continues the same block (a line break inside it).
+// The older notes format ("• item", "[x] item") is still read.
+// Notion lists always count from 1, so "2. item" that starts no list stays text, and so
+// do merge conflict markers ("<<<<<<< Notion", ">>>>>>> Google").
+
+const MAX_RICH_TEXT_LENGTH = 1990;
+const INDENT = '  ';
+const TOGGLE_MARKER = '▸';
+
+// Block types whose content is rich text
+const RICH_TEXT_TYPES = ['paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item', 'numbered_list_item', 'to_do', 'toggle', 'quote'];
+
+// Block types the notes format represents; anything else (images, callouts, embeds, ...) is left alone
+const TEXT_BLOCK_TYPES = [...RICH_TEXT_TYPES, 'code', 'divider'];
+
+const CODE_LANGUAGES = [
+  'abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart', 'diff', 'docker',
+  'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go', 'graphql', 'groovy', 'haskell', 'html',
+  'java', 'javascript', 'json', 'julia', 'kotlin', 'latex', 'less', 'lisp', 'livescript', 'lua', 'makefile', 'markdown',
+  'markup', 'matlab', 'mermaid', 'nix', 'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text', 'powershell',
+  'prolog', 'protobuf', 'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss', 'shell', 'sql',
+  'swift', 'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml', 'java/c/c++/c#'
+];
+
+// Common fence names that Notion spells differently
+const CODE_LANGUAGE_ALIASES = { js: 'javascript', ts: 'typescript', py: 'python', rb: 'ruby', sh: 'shell', yml: 'yaml', md: 'markdown', cpp: 'c++', cs: 'c#', text: 'plain text' };
+
+// Characters a backslash escapes in inline text
+const ESCAPABLE = '\\`*~[]()$<>_#+-.!|•▸';
+
+// Paragraph text that would otherwise be read as a block marker
+const LINE_MARKER = /^(#{1,3} |[-*+•] |> ?|▸ |\d+[.)]( |$)|\[[ xX]\] |---\s*$|```)/;
+
+const LIST_NUMBER = /^(\d+)[.)]( |$)/;
+const CONFLICT_MARKER = /^(<{7}|={7}|>{7})( |$)/;
+
+const isSpace = ch => ch === undefined || /\s/.test(ch);
+
+// ---------------------------------------------------------------------------
+// Notion rich text → Markdown
+
+// Rich text items → styled runs, merging neighbours that Notion split (colour, length limits)
+function toRuns(richText) {
+  const runs = [];
+  for (const item of richText || []) {
+    const annotations = item.annotations || {};
+    const run = {
+      text: item.type === 'equation' ? item.equation.expression : (item.plain_text ?? item.text?.content ?? ''),
+      bold: Boolean(annotations.bold),
+      italic: Boolean(annotations.italic),
+      strikethrough: Boolean(annotations.strikethrough),
+      underline: Boolean(annotations.underline),
+      code: Boolean(annotations.code),
+      equation: item.type === 'equation',
+      href: item.href || item.text?.link?.url || null
+    };
+
+    const last = runs[runs.length - 1];
+    if (last && !run.equation && !last.equation && sameStyle(last, run)) last.text += run.text;
+    else runs.push(run);
+  }
+  return runs;
+}
+
+function sameStyle(a, b) {
+  return ['bold', 'italic', 'strikethrough', 'underline', 'code', 'href'].every(key => a[key] === b[key]);
+}
+
+// Markers that only count in pairs are escaped only when the line could pair them up
+function escapeContext(runs) {
+  const literal = runs.filter(run => !run.code && !run.equation).map(run => run.text).join('');
+  const count = pattern => (literal.match(pattern) || []).length;
+  return {
+    stars: runs.some(run => run.bold || run.italic) || count(/\*(?!\s)|(?<!\s)\*/g) >= 2,
+    ticks: runs.some(run => run.code) || count(/`/g) >= 2,
+    // "$5 and $10" cannot be read as an equation, so its dollars stay as they are
+    dollars: runs.some(run => run.equation) || [...literal.matchAll(/\$/g)].some(match => findEquationClose(literal, match.index) !== -1)
+  };
+}
+
+function escapeText(text, context) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const prev = text[i - 1];
+    const next = text[i + 1];
+
+    if (ch === '\\' && (next === undefined || next === '\n' || ESCAPABLE.includes(next))) out += '\\\\';
+    else if (ch === '*' && context.stars && !(isSpace(prev) && isSpace(next))) out += '\\*';
+    else if (ch === '~' && (prev === '~' || next === '~')) out += '\\~';
+    else if (ch === '`' && context.ticks) out += '\\`';
+    else if (ch === '$' && context.dollars) out += '\\$';
+    else if (ch === '[' && text.indexOf('](', i) !== -1) out += '\\[';
+    else if (ch === '<' && /^<\/?u>/.test(text.slice(i))) out += '\\<';
+    else out += ch;
+  }
+  return out;
+}
+
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(ticks => ticks.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = /^[`\s]|[`\s]$/.test(text) && text.trim() ? ' ' : '';
+  return fence + pad + text + pad + fence;
+}
+
+function renderRun(run, context) {
+  if (run.equation) return `$${run.text.trim()}$`;
+
+  const text = run.code ? codeSpan(run.text) : escapeText(run.text, context);
+  // Markers cannot sit next to whitespace, so keep leading/trailing spaces outside them
+  const [, lead, core, trail] = run.code ? ['', '', text, ''] : text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return text;
+
+  let out = core;
+  if (run.strikethrough) out = `~~${out}~~`;
+  if (run.italic) out = `*${out}*`;
+  if (run.bold) out = `**${out}**`;
+  if (run.underline) out = `<u>${out}</u>`;
+  return lead + out + trail;
+}
+
+function richTextToMarkdown(richText) {
+  const runs = toRuns(richText);
+  const context = escapeContext(runs);
+  let out = '';
+
+  // Consecutive runs sharing a link become one [text](url)
+  for (let i = 0; i < runs.length;) {
+    const href = runs[i].href;
+    let j = i;
+    let inner = '';
+    while (j < runs.length && runs[j].href === href) inner += renderRun(runs[j++], context);
+    out += href ? `[${inner}](${href.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29')})` : inner;
+    i = j;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown → Notion rich text
+
+// Emphasis delimiter at position i: { flag, length, opens, closes }
+function delimiterAt(src, i) {
+  const prev = src[i - 1];
+  let flag = null;
+  let length = 0;
+
+  if (src.startsWith('<u>', i)) return { flag: 'underline', length: 3, opens: true, closes: false };
+  if (src.startsWith('</u>', i)) return { flag: 'underline', length: 4, opens: false, closes: true };
+  if (src.startsWith('**', i)) [flag, length] = ['bold', 2];
+  else if (src.startsWith('~~', i)) [flag, length] = ['strikethrough', 2];
+  else if (src[i] === '*') [flag, length] = ['italic', 1];
+  if (!flag) return null;
+
+  const next = src[i + length];
+  return { flag, length, opens: !isSpace(next), closes: !isSpace(prev) };
+}
+
+// True when a matching closing delimiter follows `from`
+function hasCloser(src, from, flag) {
+  for (let i = from; i < src.length;) {
+    if (src[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    const marker = delimiterAt(src, i);
+    if (marker) {
+      if (marker.flag === flag && marker.closes) return true;
+      i += marker.length;
+      continue;
+    }
+    i++;
+  }
+  return false;
+}
+
+function findCodeClose(src, from, length) {
+  for (let i = from; i < src.length;) {
+    const ticks = /^`+/.exec(src.slice(i));
+    if (ticks) {
+      if (ticks[0].length === length) return i;
+      i += ticks[0].length;
+    } else {
+      i++;
+    }
+  }
+  return -1;
+}
+
+// `$x$` is an equation only without inner edge spaces and not followed by a digit ("$5 and $10" stays text)
+function findEquationClose(src, i) {
+  if (isSpace(src[i + 1]) || src[i + 1] === '$') return -1;
+  for (let j = i + 2; j < src.length; j++) {
+    if (src[j] === '$' && !isSpace(src[j - 1]) && !/\d/.test(src[j + 1] || '')) return j;
+  }
+  return -1;
+}
+
+function matchLink(src, i) {
+  let depth = 0;
+  let j = i;
+  for (; j < src.length; j++) {
+    if (src[j] === '\\') {
+      j++;
+    } else if (src[j] === '[') {
+      depth++;
+    } else if (src[j] === ']' && --depth === 0) {
+      break;
+    }
+  }
+  if (j >= src.length || src[j + 1] !== '(') return null;
+
+  let parens = 0;
+  for (let k = j + 1; k < src.length; k++) {
+    if (src[k] === '(') parens++;
+    else if (src[k] === ')' && --parens === 0) {
+      return { text: src.slice(i + 1, j), url: src.slice(j + 2, k), end: k + 1 };
+    }
+  }
+  return null;
+}
+
+function parseInline(src, inherited = {}) {
+  const runs = [];
+  const style = { bold: false, italic: false, strikethrough: false, underline: false, href: null, ...inherited };
+  let text = '';
+  const flush = () => {
+    if (text) runs.push({ ...style, text });
+    text = '';
+  };
+
+  for (let i = 0; i < src.length;) {
+    const ch = src[i];
+
+    if (ch === '\\' && i + 1 < src.length && ESCAPABLE.includes(src[i + 1])) {
+      text += src[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      const ticks = /^`+/.exec(src.slice(i))[0];
+      const close = findCodeClose(src, i + ticks.length, ticks.length);
+      if (close !== -1) {
+        flush();
+        let code = src.slice(i + ticks.length, close);
+        if (code.length > 1 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) code = code.slice(1, -1);
+        runs.push({ ...style, code: true, text: code });
+        i = close + ticks.length;
+      } else {
+        text += ticks;
+        i += ticks.length;
+      }
+      continue;
+    }
+
+    if (ch === '$') {
+      const close = findEquationClose(src, i);
+      if (close !== -1) {
+        flush();
+        runs.push({ ...style, equation: true, text: src.slice(i + 1, close) });
+        i = close + 1;
+        continue;
+      }
+    }
+
+    if (ch === '[' && !style.href) {
+      const link = matchLink(src, i);
+      if (link) {
+        flush();
+        runs.push(...parseInline(link.text, { ...style, href: link.url }));
+        i = link.end;
+        continue;
+      }
+    }
+
+    const marker = delimiterAt(src, i);
+    if (marker) {
+      const closing = style[marker.flag] && marker.closes;
+      const opening = !style[marker.flag] && marker.opens && hasCloser(src, i + marker.length, marker.flag);
+      if (closing || opening) {
+        flush();
+        style[marker.flag] = !style[marker.flag];
+        i += marker.length;
+        continue;
+      }
+    }
+
+    text += ch;
+    i++;
+  }
+  flush();
+  return runs;
+}
+
+function markdownToRichText(src) {
+  const items = [];
+  for (const run of parseInline(src)) {
+    if (run.equation) {
+      items.push({ type: 'equation', equation: { expression: run.text } });
+      continue;
+    }
+    const annotations = {
+      bold: run.bold,
+      italic: run.italic,
+      strikethrough: run.strikethrough,
+      underline: run.underline,
+      code: Boolean(run.code)
+    };
+    for (let i = 0; i < run.text.length; i += MAX_RICH_TEXT_LENGTH) {
+      items.push({
+        type: 'text',
+        text: { content: run.text.slice(i, i + MAX_RICH_TEXT_LENGTH), link: run.href ? { url: run.href } : null },
+        annotations
+      });
+    }
+  }
+  return items;
+}
+
+// ---------------------------------------------------------------------------
+// Blocks → Markdown
+
+/**
+ * Render Notion blocks as Markdown. Blocks carry their nested blocks in
+ * `children`; blocks of other types are skipped (they only restart numbering).
+ *
+ * @returns {string}
+ */
+function blocksToMarkdown(blocks, depth = 0) {
+  const indent = INDENT.repeat(depth);
+  const lines = [];
+  let number = 0;
+  let previousType = null;
+
+  for (const block of blocks || []) {
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+    if (!TEXT_BLOCK_TYPES.includes(block.type)) continue;
+
+    const line = renderBlock(block, indent, number, previousType === 'numbered_list_item');
+    if (line === null) continue;
+    lines.push(line);
+    previousType = block.type;
+
+    const children = (block.children || []).filter(child => TEXT_BLOCK_TYPES.includes(child.type));
+    if (children.length > 0 && block.type !== 'code') {
+      const nested = blocksToMarkdown(block.children, depth + 1);
+      if (nested) lines.push(nested);
+    }
+  }
+  return lines.join('\n');
+}
+
+// `inList`: the line follows a numbered item, so any "N. " would continue that list
+function renderBlock(block, indent, number, inList) {
+  const data = block[block.type] || {};
+
+  if (block.type === 'divider') return `${indent}---`;
+
+  if (block.type === 'code') {
+    const code = (data.rich_text || []).map(rt => rt.plain_text ?? rt.text?.content ?? '').join('');
+    const language = data.language && data.language !== 'plain text' ? data.language : '';
+    const fence = code.includes('```') ? '~~~' : '```';
+    const body = code.split('\n').map(line => indent + line).join('\n');
+    return `${indent}${fence}${language}\n${body}\n${indent}${fence}`;
+  }
+
+  let text = richTextToMarkdown(data.rich_text);
+  let prefix;
+  switch (block.type) {
+    case 'heading_1': prefix = '# '; break;
+    case 'heading_2': prefix = '## '; break;
+    case 'heading_3': prefix = '### '; break;
+    case 'bulleted_list_item': prefix = '- '; break;
+    case 'numbered_list_item': prefix = `${number}. `; break;
+    case 'to_do': prefix = data.checked ? '- [x] ' : '- [ ] '; break;
+    case 'toggle': prefix = `${TOGGLE_MARKER} `; break;
+    case 'quote': prefix = '> '; break;
+    default: prefix = '';
+  }
+
+  if (!prefix) {
+    // Empty paragraphs are spacing only; a paragraph that looks like a marker is escaped
+    if (!text.trim() && !(block.children || []).length) return null;
+    if (LINE_MARKER.test(text) && !CONFLICT_MARKER.test(text) && (!LIST_NUMBER.test(text) || isListItem(text, inList))) text = `\\${text}`;
+  } else if (block.type === 'bulleted_list_item' && /^\[[ xX]\] /.test(text)) {
+    text = `\\${text}`;
+  }
+
+  // Line breaks inside the block: end the line with "\" and continue at the same indent
+  const continuation = `\\\n${indent}${block.type === 'quote' ? '> ' : ''}`;
+  return indent + prefix + text.split('\n').join(continuation);
+}
+
+// Whether a numbered line is read as a list item: any number continues a list, "1." starts one
+function isListItem(text, inList) {
+  const listNumber = LIST_NUMBER.exec(text);
+  return Boolean(listNumber) && (inList || Number(listNumber[1]) === 1);
+}
+
+// ---------------------------------------------------------------------------
+// Markdown → blocks
+
+function richBlock(type, src, extra = {}) {
+  return { object: 'block', type, [type]: { rich_text: markdownToRichText(src), ...extra } };
+}
+
+function parseLine(content) {
+  let match;
+  if (CONFLICT_MARKER.test(content)) return richBlock('paragraph', content);
+  if ((match = /^(#{1,3}) (.*)$/s.exec(content))) return richBlock(`heading_${match[1].length}`, match[2]);
+  if ((match = /^(?:[-*+•] )?\[([ xX])\] (.*)$/s.exec(content))) return richBlock('to_do', match[2], { checked: match[1] !== ' ' });
+  if ((match = /^[-*+•] (.*)$/s.exec(content))) return richBlock('bulleted_list_item', match[1]);
+  if ((match = /^\d+[.)] (.*)$/s.exec(content))) return richBlock('numbered_list_item', match[1]);
+  if ((match = /^> ?(.*)$/s.exec(content))) return richBlock('quote', match[1]);
+  if ((match = /^▸ (.*)$/s.exec(content))) return richBlock('toggle', match[1]);
+  if (/^(---|\*\*\*|___)\s*$/.test(content)) return { object: 'block', type: 'divider', divider: {} };
+
+  // A leading backslash keeps marker-like text as a paragraph
+  const text = content.startsWith('\\') && LINE_MARKER.test(content.slice(1)) ? content.slice(1) : content;
+  return richBlock('paragraph', text);
+}
+
+function codeBlock(language, code) {
+  const name = (language || '').trim().toLowerCase();
+  const normalized = CODE_LANGUAGE_ALIASES[name] || name;
+  const rich_text = [];
+  for (let i = 0; i < code.length; i += MAX_RICH_TEXT_LENGTH) {
+    rich_text.push({ type: 'text', text: { content: code.slice(i, i + MAX_RICH_TEXT_LENGTH) } });
+  }
+  return {
+    object: 'block',
+    type: 'code',
+    code: { rich_text, language: CODE_LANGUAGES.includes(normalized) ? normalized : 'plain text' }
+  };
+}
+
+const indentOf = line => line.match(/^[ \t]*/)[0].replace(/\t/g, INDENT).length;
+
+// Split notes into { indent, block } entries: fenced code, continued lines and single-line blocks
+function readEntries(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const entries = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) continue;
+    const indent = indentOf(line);
+    const content = line.trim();
+
+    const fence = /^(```|~~~)(.*)$/.exec(content);
+    if (fence) {
+      const body = [];
+      while (++i < lines.length && lines[i].trim() !== fence[1]) {
+        // Drop the fence's own indentation from each code line
+        body.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+      }
+      entries.push({ indent, block: codeBlock(fence[2], body.join('\n')) });
+      continue;
+    }
+
+    // A trailing unescaped backslash continues the block on the next line
+    let text = line.slice(line.length - line.trimStart().length).trimEnd();
+    const isQuote = /^> ?/.test(text);
+    while (/(^|[^\\])(\\\\)*\\$/.test(text) && i + 1 < lines.length) {
+      let next = lines[++i].trimStart();
+      if (isQuote) next = next.replace(/^> ?/, '');
+      text = `${text.slice(0, -1)}\n${next.trimEnd()}`;
+    }
+    entries.push({ indent, block: parseLine(text), text });
+  }
+  return entries;
+}
+
+/**
+ * Parse notes into Notion block objects. Nested blocks are returned in each
+ * block's `children` (append them separately; the API limits nesting depth).
+ *
+ * @returns {object[]}
+ */
+function markdownToBlocks(markdown) {
+  const root = [];
+  const stack = [{ indent: -1, block: null, children: root }];
+
+  for (const entry of readEntries(markdown || '')) {
+    const { indent } = entry;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+    // Code blocks and dividers cannot hold children; attach to the nearest ancestor that can
+    let parent = stack[stack.length - 1];
+    for (let i = stack.length - 1; i > 0 && ['code', 'divider'].includes(parent.block.type); i--) parent = stack[i - 1];
+
+    const previous = parent.children[parent.children.length - 1];
+    const inList = previous?.type === 'numbered_list_item';
+    const block = entry.block.type === 'numbered_list_item' && !isListItem(entry.text, inList)
+      ? richBlock('paragraph', entry.text)
+      : entry.block;
+
+    parent.children.push(block);
+    if (parent.block) {
+      parent.block.children = parent.children;
+      if (parent.block.type.startsWith('heading_')) parent.block[parent.block.type].is_toggleable = true;
+    }
+    stack.push({ indent, block, children: [] });
+  }
+  return root;
+}
+
+module.exports = {
+  TEXT_BLOCK_TYPES,
+  blocksToMarkdown,
+  markdownToBlocks,
+  richTextToMarkdown,
+  markdownToRichText
+};
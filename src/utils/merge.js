@@ -0,0 +1,96 @@
+// Line-based three-way merge (diff3 style) used for notes edited on both sides.
+
+// For each base line, the index of the matching line in `other` (LCS), or -1
+function matchLines(base, other) {
+  const n = base.length;
+  const m = other.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = base[i] === other[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(n).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (base[i] === other[j]) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Merge two edited versions of a text against their common base.
+ * Non-overlapping edits combine cleanly; overlapping edits produce a
+ * conflict block with markers naming each side.
+ *
+ * @returns {{ text: string, conflicts: number }}
+ */
+function mergeLines(base, ours, theirs, { oursLabel = 'ours', theirsLabel = 'theirs' } = {}) {
+  const baseLines = (base || '').split('\n');
+  const ourLines = (ours || '').split('\n');
+  const theirLines = (theirs || '').split('\n');
+
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const output = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  while (b < baseLines.length || o < ourLines.length || t < theirLines.length) {
+    // Stable line: unchanged on both sides at the current positions
+    if (b < baseLines.length && ourMatches[b] === o && theirMatches[b] === t) {
+      output.push(baseLines[b]);
+      b++;
+      o++;
+      t++;
+      continue;
+    }
+
+    // Next base line kept by both sides closes the changed chunk
+    let next = b;
+    while (next < baseLines.length && (ourMatches[next] < o || theirMatches[next] < t)) next++;
+    const oEnd = next < baseLines.length ? ourMatches[next] : ourLines.length;
+    const tEnd = next < baseLines.length ? theirMatches[next] : theirLines.length;
+
+    const baseChunk = baseLines.slice(b, next);
+    const ourChunk = ourLines.slice(o, oEnd);
+    const theirChunk = theirLines.slice(t, tEnd);
+
+    if (sameLines(ourChunk, baseChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${oursLabel}`, ...ourChunk, '=======', ...theirChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    b = next;
+    o = oEnd;
+    t = tEnd;
+  }
+
+  return { text: output.join('\n'), conflicts };
+}
+
+module.exports = { mergeLines, matchLines };
@@ -0,0 +1,152 @@
+const client = require('prom-client');
+
+// Prometheus metrics for GET /metrics. Sync runs are recorded as they are saved to the
+// history, API calls by the request layer, task counts when a list pair is planned.
+const PREFIX = 'notion_gtasks_';
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const syncDuration = new client.Histogram({
+  name: `${PREFIX}sync_duration_seconds`,
+  help: 'Duration of sync and revert runs',
+  labelNames: ['trigger', 'status'],
+  buckets: [1, 2, 5, 10, 30, 60, 120, 300, 600],
+  registers: [register]
+});
+
+const syncRuns = new client.Counter({
+  name: `${PREFIX}sync_runs_total`,
+  help: 'Sync and revert runs by trigger and outcome',
+  labelNames: ['trigger', 'status'],
+  registers: [register]
+});
+
+const operations = new client.Counter({
+  name: `${PREFIX}sync_operations_total`,
+  help: 'Executed sync operations by type, field, direction and outcome',
+  labelNames: ['type', 'field', 'direction', 'status'],
+  registers: [register]
+});
+
+const apiRequests = new client.Counter({
+  name: `${PREFIX}api_requests_total`,
+  help: 'Notion and Google API calls (each attempt) by request and outcome',
+  labelNames: ['api', 'request', 'outcome'],
+  registers: [register]
+});
+
+const apiDuration = new client.Histogram({
+  name: `${PREFIX}api_request_duration_seconds`,
+  help: 'Latency of Notion and Google API calls (each attempt)',
+  labelNames: ['api', 'request'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const apiErrors = new client.Counter({
+  name: `${PREFIX}api_errors_total`,
+  help: 'Failed Notion and Google API calls by HTTP status, or network / connect / other',
+  labelNames: ['api', 'status'],
+  registers: [register]
+});
+
+const apiRetries = new client.Counter({
+  name: `${PREFIX}api_retries_total`,
+  help: 'Retried Notion and Google API calls by reason',
+  labelNames: ['api', 'reason'],
+  registers: [register]
+});
+
+const tasks = new client.Gauge({
+  name: `${PREFIX}tasks`,
+  help: 'Tasks on each side of a list pair, as of its last sync',
+  labelNames: ['pair', 'side'],
+  registers: [register]
+});
+
+const taskPairs = new client.Gauge({
+  name: `${PREFIX}task_pairs`,
+  help: 'Paired Notion page / Google task pairs of a list pair, as of its last sync',
+  labelNames: ['pair'],
+  registers: [register]
+});
+
+// Unknown until a run succeeds, or the history shows one (read once, on the first scrape)
+const startedAt = Date.now();
+let lastSuccessAt = null;
+let historyRead = false;
+
+async function lastSuccess() {
+  if (!historyRead) {
+    historyRead = true;
+    try {
+      const history = require('../models/syncRun');
+      await history.load();
+      const [run] = history.list({ status: 'success', limit: 1 });
+      if (run && !lastSuccessAt) lastSuccessAt = Date.parse(run.endedAt);
+    } catch (error) {
+      // Without history the gauges stay empty until the next successful run
+    }
+  }
+  return lastSuccessAt;
+}
+
+new client.Gauge({
+  name: `${PREFIX}last_success_timestamp_seconds`,
+  help: 'Unix time the last successful sync ended (0 if none is known)',
+  registers: [register],
+  async collect() {
+    this.set((await lastSuccess() || 0) / 1000);
+  }
+});
+
+// Counted from startup while no success is known, so staleness alerts also fire for a
+// service that has never synced
+new client.Gauge({
+  name: `${PREFIX}seconds_since_last_success`,
+  help: 'Seconds since the last successful sync ended (since startup if none is known)',
+  registers: [register],
+  async collect() {
+    this.set((Date.now() - (await lastSuccess() || startedAt)) / 1000);
+  }
+});
+
+// A finished run as saved to the history (syncService.recordRun)
+function recordRun(run) {
+  const labels = { trigger: run.trigger, status: run.status };
+  syncRuns.inc(labels);
+  syncDuration.observe(labels, run.durationMs / 1000);
+  for (const op of run.operations) {
+    operations.inc({
+      type: op.type,
+      field: op.field || '',
+      direction: op.target === 'google' ? 'notion_to_google' : 'google_to_notion',
+      status: op.status
+    });
+  }
+  if (run.status === 'success') lastSuccessAt = Date.parse(run.endedAt);
+}
+
+// One API call attempt; `errorStatus` (HTTP status, or network / connect / other) when it failed
+function recordApiCall(api, request, durationMs, errorStatus = null) {
+  apiRequests.inc({ api, request, outcome: errorStatus ? 'error' : 'success' });
+  apiDuration.observe({ api, request }, durationMs / 1000);
+  if (errorStatus) apiErrors.inc({ api, status: String(errorStatus) });
+}
+
+function recordApiRetry(api, reason) {
+  apiRetries.inc({ api, reason });
+}
+
+function recordTaskCounts(pair, { notion, google, paired }) {
+  tasks.set({ pair, side: 'notion' }, notion);
+  tasks.set({ pair, side: 'google' }, google);
+  taskPairs.set({ pair }, paired);
+}
+
+// Exposition text and its content type, for GET /metrics
+async function render() {
+  return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = { recordRun, recordApiCall, recordApiRetry, recordTaskCounts, render };
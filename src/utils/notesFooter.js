@@ -0,0 +1,21 @@
+// The Notion page link kept as the last line of Google task notes. It is added
+// whenever notes are written to Google and stripped when they are read back, so it
+// never takes part in notes comparison and never flows into the Notion page.
+
+const FOOTER_LABEL = '🔗 Notion:';
+const FOOTER_PATTERN = /(?:^|\n+)🔗 Notion: (\S+)[ \t]*\n*$/;
+
+function addNotesFooter(notes, notionUrl) {
+  const body = (notes || '').trimEnd();
+  if (!notionUrl) return body;
+  return body ? `${body}\n\n${FOOTER_LABEL} ${notionUrl}` : `${FOOTER_LABEL} ${notionUrl}`;
+}
+
+// { notes, notionUrl }: the notes without the footer, and the linked URL (null without a footer)
+function splitNotesFooter(notes) {
+  const match = FOOTER_PATTERN.exec(notes || '');
+  if (!match) return { notes: notes || '', notionUrl: null };
+  return { notes: notes.slice(0, match.index), notionUrl: match[1] };
+}
+
+module.exports = { addNotesFooter, splitNotesFooter };
@@ -0,0 +1,114 @@
+const config = require('../config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Network failures after the request may have reached the API
+const NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ESOCKETTIMEDOUT', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'notionhq_client_request_timeout'];
+// Failures before anything was sent; safe to retry even for creates
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP status of a Notion client error or a Google (gaxios) error
+function statusOf(error) {
+  const status = error.status ?? error.response?.status;
+  return typeof status === 'number' ? status : undefined;
+}
+
+// Retry-After (seconds or an HTTP date) in milliseconds, if the response sent one
+function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  if (!headers) return undefined;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// 'rate_limited' | 'server' | 'network' | 'connect', or null for errors that are not retried
+function classify(error) {
+  const status = statusOf(error);
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+
+  const code = error.code || error.cause?.code;
+  if (CONNECT_ERRORS.includes(code)) return 'connect';
+  if (NETWORK_ERRORS.includes(code)) return 'network';
+  return null;
+}
+
+// Shared request layer for one API. Calls are spaced to stay under the API's
+// requests-per-second limit; a 429 pauses every caller for its Retry-After; 5xx
+// responses and network errors are retried with jittered exponential backoff.
+// Non-idempotent calls (creates) are only retried when the API cannot have acted
+// on them: after a 429 or when the connection was never made.
+// `api` labels the layer's calls in the metrics.
+class RequestLayer {
+  constructor(name, { api = name.toLowerCase(), requestsPerSecond, maxRetries = config.api.maxRetries, retryBaseMs = config.api.retryBaseMs, retryMaxMs = config.api.retryMaxMs } = {}) {
+    this.name = name;
+    this.api = api;
+    this.intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.nextSlot = 0;
+    this.pausedUntil = 0;
+  }
+
+  // Wait for the next free slot; slots are handed out in call order
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot, this.pausedUntil);
+    this.nextSlot = slot + this.intervalMs;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  // Exponential backoff with jitter (between half and all of the step)
+  backoffMs(attempt) {
+    const step = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt);
+    return Math.round(step / 2 + Math.random() * step / 2);
+  }
+
+  // Run one API call. `label` names it in logs; `idempotent: false` marks calls
+  // that must not be repeated when they may already have taken effect.
+  async run(label, fn, { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      const startedAt = Date.now();
+      try {
+        const result = await fn();
+        metrics.recordApiCall(this.api, label, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        const kind = classify(error);
+        metrics.recordApiCall(this.api, label, Date.now() - startedAt, statusOf(error) ?? (kind || 'other'));
+        const retryable = kind === 'rate_limited' || kind === 'connect' || (idempotent && kind !== null);
+        if (!retryable || attempt >= this.maxRetries) throw error;
+
+        const delayMs = kind === 'rate_limited'
+          ? retryAfterMs(error) ?? this.backoffMs(attempt)
+          : this.backoffMs(attempt);
+        metrics.recordApiRetry(this.api, kind);
+        if (kind === 'rate_limited') {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+        }
+
+        logger.warn(`${this.name} request failed; retrying`, {
+          request: label,
+          reason: kind,
+          status: statusOf(error),
+          attempt: attempt + 1,
+          maxRetries: this.maxRetries,
+          delayMs,
+          message: error.message
+        });
+        if (kind !== 'rate_limited') await sleep(delayMs);
+      }
+    }
+  }
+}
+
+module.exports = { RequestLayer };
@@ -0,0 +1,20 @@
+const config = require('../config');
+const blobStorage = require('./blobStorage');
+
+const LOCK_NAME = 'sync.lock';
+
+// Keeps syncs and reverts of different processes (Azure Functions instances, the CLI) off
+// shared state. Only the blob store is shared; file state relies on syncService.isRunning.
+
+// Returns { release } or null when another process holds the lock
+async function acquire() {
+  if (config.state.store !== 'blob') return { release: async () => {} };
+  return blobStorage.acquireLock(LOCK_NAME);
+}
+
+async function isHeld() {
+  if (config.state.store !== 'blob') return false;
+  return blobStorage.isLocked(LOCK_NAME);
+}
+
+module.exports = { acquire, isHeld };
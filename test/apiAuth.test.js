@@ -0,0 +1,86 @@
+// Config is read on require; set what it needs before loading the modules under test
+Object.assign(process.env, {
+  NOTION_TOKEN: 'test', NOTION_DATABASE_ID: 'test', GOOGLE_CLIENT_ID: 'test', GOOGLE_CLIENT_SECRET: 'test', GOOGLE_REFRESH_TOKEN: 'test',
+  AUTH_TOKEN_SECRET: 'a-test-secret-that-is-at-least-32-chars',
+  AUTH_READ_KEYS: 'read-key-0123456789',
+  AUTH_TRIGGER_KEYS: 'trigger-key-0123456789',
+  LOG_FILES: 'false'
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createToken, authenticate, allows } = require('../src/utils/apiAuth');
+const { requireScope } = require('../src/middleware/apiAccess');
+
+// Run the middleware against a bare request; resolves with the status (or 'next')
+function callWithCredential(scope, credential) {
+  const req = { method: 'POST', path: '/sync', ip: '127.0.0.1', get: name => (name === 'Authorization' && credential ? `Bearer ${credential}` : undefined) };
+  return new Promise(resolve => {
+    const res = {
+      set: () => res,
+      status: code => ({ json: () => resolve(code) })
+    };
+    requireScope(scope)(req, res, () => resolve('next'));
+  });
+}
+
+test('accepts a valid token with its subject and scope', () => {
+  const token = createToken({ subject: 'ci', scope: 'trigger', expiresInSeconds: 3600 });
+  assert.deepEqual(authenticate(token), { id: 'token:ci', scope: 'trigger' });
+});
+
+test('accepts a token without expiry', () => {
+  assert.deepEqual(authenticate(createToken({ subject: 'dashboard', scope: 'read' })), { id: 'token:dashboard', scope: 'read' });
+});
+
+test('rejects a tampered signature', () => {
+  const token = createToken({ subject: 'ci', scope: 'read' });
+  const [payload, signature] = token.split('.');
+  const tampered = `${payload}.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+  assert.equal(authenticate(tampered), null);
+});
+
+test('rejects a payload changed after signing', () => {
+  const [, signature] = createToken({ subject: 'ci', scope: 'read' }).split('.');
+  const escalated = Buffer.from(JSON.stringify({ sub: 'ci', scope: 'trigger', iat: Math.floor(Date.now() / 1000) })).toString('base64url');
+  assert.equal(authenticate(`${escalated}.${signature}`), null);
+});
+
+test('rejects a token signed with another secret', () => {
+  const token = createToken({ subject: 'ci', scope: 'read' }, 'another-secret-that-is-at-least-32-chars');
+  assert.equal(authenticate(token), null);
+});
+
+test('rejects an expired token', t => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now - 2 * 3600 * 1000);
+  const token = createToken({ subject: 'ci', scope: 'trigger', expiresInSeconds: 3600 });
+  t.mock.restoreAll();
+  assert.equal(authenticate(token), null);
+});
+
+test('accepts configured API keys with their scope', () => {
+  assert.equal(authenticate('trigger-key-0123456789').scope, 'trigger');
+  assert.equal(authenticate('read-key-0123456789').scope, 'read');
+  assert.match(authenticate('read-key-0123456789').id, /^key:[0-9a-f]{8}$/);
+  assert.equal(authenticate('unknown-key-0123456789'), null);
+});
+
+test('trigger scope includes read, not the other way round', () => {
+  assert.equal(allows('trigger', 'read'), true);
+  assert.equal(allows('read', 'read'), true);
+  assert.equal(allows('read', 'trigger'), false);
+});
+
+test('trigger routes reject read-scope credentials', async () => {
+  const readToken = createToken({ subject: 'dashboard', scope: 'read' });
+  assert.equal(await callWithCredential('trigger', readToken), 403);
+  assert.equal(await callWithCredential('trigger', 'read-key-0123456789'), 403);
+  assert.equal(await callWithCredential('read', readToken), 'next');
+  assert.equal(await callWithCredential('trigger', createToken({ subject: 'ci', scope: 'trigger' })), 'next');
+});
+
+test('routes reject missing or invalid credentials', async () => {
+  assert.equal(await callWithCredential('read', null), 401);
+  assert.equal(await callWithCredential('read', 'not-a-token'), 401);
+});
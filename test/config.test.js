@@ -0,0 +1,44 @@
+// Config is read on require; each test loads a fresh copy with its own environment
+Object.assign(process.env, {
+  NOTION_TOKEN: 'test', NOTION_DATABASE_ID: 'test', GOOGLE_CLIENT_ID: 'test', GOOGLE_CLIENT_SECRET: 'test', GOOGLE_REFRESH_TOKEN: 'test',
+  LOG_FILES: 'false'
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CONFIG_PATH = require.resolve('../src/config');
+
+function loadConfig(env) {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  delete require.cache[CONFIG_PATH];
+  try {
+    return require(CONFIG_PATH);
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    delete require.cache[CONFIG_PATH];
+  }
+}
+
+test('reads numeric settings, with the default for empty values', () => {
+  assert.equal(loadConfig({ MAX_DELETES_PER_RUN: '3' }).sync.deletion.maxPerRun, 3);
+  assert.equal(loadConfig({ MAX_DELETES_PER_RUN: '' }).sync.deletion.maxPerRun, 10);
+  assert.equal(loadConfig({ NOTION_REQUESTS_PER_SECOND: '0.5' }).api.notion.requestsPerSecond, 0.5);
+});
+
+test('refuses numeric settings that are not non-negative numbers', () => {
+  assert.throws(() => loadConfig({ MAX_DELETES_PER_RUN: 'abc' }), /MAX_DELETES_PER_RUN must be a non-negative number/);
+  assert.throws(() => loadConfig({ DELETE_GRACE_MINUTES: '-5' }), /DELETE_GRACE_MINUTES/);
+  assert.throws(() => loadConfig({ RATE_LIMIT_WINDOW_SECONDS: 'Infinity' }), /RATE_LIMIT_WINDOW_SECONDS/);
+});
+
+test('turns SYNC_INTERVAL_MINUTES into an evenly spaced cron schedule', () => {
+  assert.equal(loadConfig({ SYNC_INTERVAL_MINUTES: '15' }).sync.schedule.incremental, '*/15 * * * *');
+  assert.equal(loadConfig({ SYNC_INTERVAL_MINUTES: '360' }).sync.schedule.incremental, '0 */6 * * *');
+  assert.throws(() => loadConfig({ SYNC_INTERVAL_MINUTES: '7' }), /SYNC_INTERVAL_MINUTES must divide an hour/);
+  assert.throws(() => loadConfig({ SYNC_INTERVAL_MINUTES: '420' }), /SYNC_INTERVAL_MINUTES/);
+});
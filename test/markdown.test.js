@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { blocksToMarkdown, markdownToBlocks, richTextToMarkdown, markdownToRichText } = require('../src/utils/markdown');
+
+// Notes → blocks → notes, the path notes take through a Notion page
+const roundTrip = markdown => blocksToMarkdown(markdownToBlocks(markdown));
+
+const textBlock = (type, content, extra = {}) => ({ type, [type]: { rich_text: [{ plain_text: content }], ...extra } });
+
+test('parses each block type', () => {
+  const blocks = markdownToBlocks([
+    '# Title', '## Sub', '- item', '1. first', '- [ ] open', '- [x] done', '> quote', '▸ toggle', '---', 'plain'
+  ].join('\n'));
+
+  assert.deepEqual(blocks.map(block => block.type), [
+    'heading_1', 'heading_2', 'bulleted_list_item', 'numbered_list_item', 'to_do', 'to_do', 'quote', 'toggle', 'divider', 'paragraph'
+  ]);
+  assert.equal(blocks[4].to_do.checked, false);
+  assert.equal(blocks[5].to_do.checked, true);
+});
+
+test('nests indented lines as children', () => {
+  const [parent] = markdownToBlocks('- parent\n  - child\n    - grandchild');
+  assert.equal(parent.children[0].bulleted_list_item.rich_text[0].text.content, 'child');
+  assert.equal(parent.children[0].children[0].type, 'bulleted_list_item');
+});
+
+test('reads fenced code with its language', () => {
+  const [block] = markdownToBlocks('```js\nconst a = 1;\n```');
+  assert.equal(block.type, 'code');
+  assert.equal(block.code.language, 'javascript');
+  assert.equal(block.code.rich_text[0].text.content, 'const a = 1;');
+});
+
+test('round-trips inline styles and links', () => {
+  const notes = '**bold** *italic* ~~gone~~ `code` <u>under</u> [link](https://example.com) $x^2$';
+  assert.equal(richTextToMarkdown(markdownToRichText(notes)), notes);
+});
+
+test('round-trips notes unchanged', () => {
+  for (const notes of [
+    '# Plan\n- one\n  - [x] nested done\n1. a\n2. b\n> quoted\\\n> second line',
+    'Costs $5 and $10',
+    'Price: $5',
+    '2. second\n3. third',
+    '1. a\n2. b\n  - c\n3. d',
+    '<<<<<<< Notion\nours\n=======\ntheirs\n>>>>>>> Google'
+  ]) {
+    assert.equal(roundTrip(notes), notes);
+  }
+});
+
+test('renumbers lists that start at 1', () => {
+  assert.equal(roundTrip('1. a\n1. b\n5. c'), '1. a\n2. b\n3. c');
+});
+
+test('keeps dollar amounts as text', () => {
+  const items = markdownToRichText('Costs $5 and $10');
+  assert.deepEqual(items.map(item => item.type), ['text']);
+  assert.equal(blocksToMarkdown([textBlock('paragraph', 'Costs $5 and $10')]), 'Costs $5 and $10');
+});
+
+test('does not read a list number that starts no list', () => {
+  const blocks = markdownToBlocks('2. second');
+  assert.equal(blocks[0].type, 'paragraph');
+  assert.equal(blocks[0].paragraph.rich_text[0].text.content, '2. second');
+});
+
+test('reads merge conflict markers as text', () => {
+  const blocks = markdownToBlocks('<<<<<<< Notion\n>>>>>>> Google');
+  assert.deepEqual(blocks.map(block => block.type), ['paragraph', 'paragraph']);
+  assert.equal(blocks[1].paragraph.rich_text[0].text.content, '>>>>>>> Google');
+});
+
+test('escapes paragraphs that would read as block markers', () => {
+  const markdown = blocksToMarkdown([
+    textBlock('paragraph', '- not a list'),
+    textBlock('paragraph', '1. not a list'),
+    textBlock('numbered_list_item', 'item'),
+    textBlock('paragraph', '2. not an item'),
+    textBlock('paragraph', '2. still text')
+  ]);
+  assert.equal(markdown, '\\- not a list\n\\1. not a list\n1. item\n\\2. not an item\n2. still text');
+  assert.deepEqual(markdownToBlocks(markdown).map(block => block.type), ['paragraph', 'paragraph', 'numbered_list_item', 'paragraph', 'paragraph']);
+});
+
+test('reads the older notes format', () => {
+  const blocks = markdownToBlocks('• item\n[x] done');
+  assert.deepEqual(blocks.map(block => block.type), ['bulleted_list_item', 'to_do']);
+  assert.equal(blocks[1].to_do.checked, true);
+});
+
+test('skips blocks the notes format cannot hold', () => {
+  assert.equal(blocksToMarkdown([{ type: 'image', image: {} }, textBlock('paragraph', 'text')]), 'text');
+});
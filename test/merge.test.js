@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeLines, matchLines } = require('../src/utils/merge');
+
+const labels = { oursLabel: 'Notion', theirsLabel: 'Google' };
+
+test('matches base lines to their position in the other version', () => {
+  assert.deepEqual(matchLines(['a', 'b', 'c'], ['a', 'x', 'c']), [0, -1, 2]);
+});
+
+test('takes the only side that changed', () => {
+  assert.deepEqual(mergeLines('a\nb', 'a\nb', 'a\nB', labels), { text: 'a\nB', conflicts: 0 });
+  assert.deepEqual(mergeLines('a\nb', 'A\nb', 'a\nb', labels), { text: 'A\nb', conflicts: 0 });
+});
+
+test('combines edits to different lines', () => {
+  const { text, conflicts } = mergeLines('one\ntwo\nthree', 'ONE\ntwo\nthree', 'one\ntwo\nthree\nfour', labels);
+  assert.equal(text, 'ONE\ntwo\nthree\nfour');
+  assert.equal(conflicts, 0);
+});
+
+test('accepts the same edit on both sides', () => {
+  assert.deepEqual(mergeLines('a', 'b', 'b', labels), { text: 'b', conflicts: 0 });
+});
+
+test('marks overlapping edits as a conflict', () => {
+  const { text, conflicts } = mergeLines('a\nb\nc', 'a\nnotion\nc', 'a\ngoogle\nc', labels);
+  assert.equal(conflicts, 1);
+  assert.equal(text, 'a\n<<<<<<< Notion\nnotion\n=======\ngoogle\n>>>>>>> Google\nc');
+});
+
+test('merges from an empty base', () => {
+  assert.deepEqual(mergeLines('', 'x', '', labels), { text: 'x', conflicts: 0 });
+  assert.equal(mergeLines('', 'x', 'y', labels).conflicts, 1);
+});
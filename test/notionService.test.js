@@ -0,0 +1,64 @@
+// Config is read on require; set what it needs before loading the modules under test
+Object.assign(process.env, {
+  NOTION_TOKEN: 'test', NOTION_DATABASE_ID: 'test', GOOGLE_CLIENT_ID: 'test', GOOGLE_CLIENT_SECRET: 'test', GOOGLE_REFRESH_TOKEN: 'test',
+  LOG_FILES: 'false'
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notionService = require('../src/services/notionService');
+const { blocksToMarkdown } = require('../src/utils/markdown');
+
+const paragraph = (id, content) => ({
+  id, type: 'paragraph', has_children: false,
+  paragraph: { rich_text: content ? [{ plain_text: content }] : [] }
+});
+
+// A page's top-level blocks behind a minimal blocks API
+function usePage(blocks) {
+  let lastId = 0;
+  notionService.notion = {
+    blocks: {
+      children: {
+        list: async () => ({ results: blocks.map(block => ({ ...block })), has_more: false }),
+        append: async ({ children, after }) => {
+          const created = children.map(block => ({ ...block, id: `new-${++lastId}`, has_children: false }));
+          blocks.splice(after ? blocks.findIndex(block => block.id === after) + 1 : blocks.length, 0, ...created);
+          return { results: created };
+        }
+      },
+      delete: async ({ block_id: id }) => {
+        blocks.splice(blocks.findIndex(block => block.id === id), 1);
+        return {};
+      }
+    }
+  };
+  return blocks;
+}
+
+test('rewrites the notes without removing empty spacer paragraphs', async () => {
+  const blocks = usePage([paragraph('a', 'first'), paragraph('spacer', ''), paragraph('b', 'second')]);
+
+  await notionService.updatePageComments('page', 'first\nsecond\nthird');
+
+  assert.deepEqual(blocks.map(block => block.id), ['a', 'spacer', 'b', 'new-1']);
+  assert.equal(blocksToMarkdown(blocks), 'first\nsecond\nthird');
+});
+
+test('replaces changed text around a spacer', async () => {
+  const blocks = usePage([paragraph('a', 'first'), paragraph('spacer', ''), paragraph('b', 'second')]);
+
+  await notionService.updatePageComments('page', 'first\nchanged');
+
+  assert.deepEqual(blocks.map(block => block.id), ['a', 'spacer', 'new-1']);
+  assert.equal(blocksToMarkdown(blocks), 'first\nchanged');
+});
+
+test('fails reading the notes when the blocks cannot be listed', async () => {
+  usePage([]);
+  notionService.notion.blocks.children.list = async () => {
+    throw Object.assign(new Error('Invalid request'), { status: 400 });
+  };
+
+  await assert.rejects(notionService.getPageComments('page'), /Invalid request/);
+});
@@ -0,0 +1,61 @@
+const fakes = require('./support/fakeBackends');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../src/config');
+const syncService = require('../src/services/syncService');
+const notionWebhooks = require('../src/services/notionWebhookService');
+
+const SECRET = 'webhook-test-secret';
+
+const sign = body => `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Record the syncs the webhook would start instead of running them
+let syncs;
+test.beforeEach(async (t) => {
+  await fakes.reset();
+  syncs = [];
+  const saved = { ...config.webhooks.notion };
+  Object.assign(config.webhooks.notion, { secret: SECRET, debounceMs: 30, maxWaitMs: 1000 });
+  t.mock.method(syncService, 'performFullSync', async options => {
+    syncs.push(options);
+    return { runId: `run-${syncs.length}` };
+  });
+  t.after(() => Object.assign(config.webhooks.notion, saved));
+});
+
+test('accepts only bodies signed with the verification token', () => {
+  const body = Buffer.from(JSON.stringify({ type: 'page.created' }));
+  assert.equal(notionWebhooks.verifySignature(body, sign(body)), true);
+  assert.equal(notionWebhooks.verifySignature(body, sign(Buffer.from('{}'))), false);
+  assert.equal(notionWebhooks.verifySignature(body, 'sha256=short'), false);
+  assert.equal(notionWebhooks.verifySignature(body, undefined), false);
+});
+
+test('runs one targeted sync for events within the quiet period', async () => {
+  const first = fakes.addPage({ title: 'One' });
+  const second = fakes.addPage({ title: 'Two' });
+
+  notionWebhooks.enqueue({ type: 'page.properties_updated', entity: { type: 'page', id: first } });
+  await sleep(10);
+  notionWebhooks.enqueue({ type: 'page.content_updated', entity: { type: 'page', id: second } });
+  notionWebhooks.enqueue({ type: 'page.properties_updated', entity: { type: 'page', id: first } });
+  await sleep(80);
+
+  assert.equal(syncs.length, 1);
+  assert.equal(syncs[0].trigger, 'webhook');
+  assert.deepEqual([...syncs[0].notionPages.keys()].sort(), [first, second].sort());
+});
+
+test('falls back to a full sync for events that name no page', async () => {
+  notionWebhooks.enqueue({ type: 'data_source.schema_updated', entity: { type: 'data_source', id: 'ds1' } });
+  await notionWebhooks.flush();
+
+  assert.deepEqual(syncs, [{ trigger: 'webhook' }]);
+});
+
+test('ignores comment events', () => {
+  assert.equal(notionWebhooks.enqueue({ type: 'comment.created', entity: { type: 'comment', id: 'c1' } }), false);
+  assert.equal(notionWebhooks.timer, null);
+});
@@ -0,0 +1,45 @@
+const fakes = require('./support/fakeBackends');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const syncService = require('../src/services/syncService');
+const revertService = require('../src/services/revertService');
+
+test.beforeEach(() => fakes.reset());
+
+// A run that copies a Notion rename to Google
+async function syncRename(t) {
+  const saved = syncService.recencySkewMs;
+  syncService.recencySkewMs = 0;
+  t.after(() => { syncService.recencySkewMs = saved; });
+
+  const pageId = fakes.addPage({ title: 'Draft', lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+  fakes.editPage(pageId, { title: 'Final' });
+  const { runId } = await syncService.performFullSync();
+  return { runId, taskId: fakes.findTask('Final').id };
+}
+
+test('restores the values a run wrote', async (t) => {
+  const { runId, taskId } = await syncRename(t);
+
+  const result = await revertService.performRevert(runId);
+  assert.equal(result.restored, 1);
+  assert.equal(fakes.tasks.get(taskId).title, 'Draft');
+});
+
+test('reverts nothing when a task changed after the run', async (t) => {
+  const { runId, taskId } = await syncRename(t);
+  fakes.editTask(taskId, { title: 'Edited in Google' });
+
+  await assert.rejects(revertService.performRevert(runId), error => {
+    assert.ok(error instanceof revertService.RevertError);
+    assert.equal(error.status, 409);
+    assert.deepEqual(error.conflicts.map(conflict => conflict.googleId), [taskId]);
+    return true;
+  });
+  assert.equal(fakes.tasks.get(taskId).title, 'Edited in Google');
+});
+
+test('refuses runs that are not in the history', async () => {
+  await assert.rejects(revertService.performRevert('no-such-run'), { name: 'RevertError', status: 404 });
+});
@@ -0,0 +1,67 @@
+// Config is read on require; set what it needs before loading the modules under test
+Object.assign(process.env, {
+  NOTION_TOKEN: 'test', NOTION_DATABASE_ID: 'test', GOOGLE_CLIENT_ID: 'test', GOOGLE_CLIENT_SECRET: 'test', GOOGLE_REFRESH_TOKEN: 'test',
+  LOG_FILES: 'false'
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const syncService = require('../src/services/syncService');
+const scheduler = require('../src/services/schedulerService');
+
+const MINUTE_MS = 60 * 1000;
+
+const schedule = (fields = {}) => ({
+  incremental: '*/5 * * * *', full: null, timezone: 'UTC', quietHours: null,
+  jitterSeconds: 0, backoffBaseMinutes: 5, backoffMaxMinutes: 60, ...fields
+});
+
+test.beforeEach(() => {
+  scheduler.consecutiveFailures = 0;
+  scheduler.backoffUntil = null;
+});
+test.afterEach(() => scheduler.stop());
+
+test('skips runs that fall in the quiet hours', () => {
+  scheduler.start(schedule({ quietHours: { start: 22 * 60, end: 7 * 60, label: '22:00-07:00' } }));
+  const [job] = scheduler.jobs;
+
+  assert.equal(scheduler.nextRun(job, new Date('2026-10-19T21:52:00Z')).toISOString(), '2026-10-19T21:55:00.000Z');
+  assert.equal(scheduler.nextRun(job, new Date('2026-10-19T21:55:00Z')).toISOString(), '2026-10-20T07:00:00.000Z');
+});
+
+test('backs off exponentially after failures, up to the maximum', async (t) => {
+  t.mock.method(syncService, 'performFullSync', async () => {
+    throw new Error('Notion unavailable');
+  });
+  scheduler.start(schedule({ backoffBaseMinutes: 5, backoffMaxMinutes: 15 }));
+  const [job] = scheduler.jobs;
+
+  const backoffAfterFailure = async () => {
+    const before = Date.now();
+    await scheduler.fire(job);
+    return Math.round((scheduler.backoffUntil.getTime() - before) / MINUTE_MS);
+  };
+  assert.equal(await backoffAfterFailure(), 5);
+  assert.equal(await backoffAfterFailure(), 10);
+  assert.equal(await backoffAfterFailure(), 15);
+  assert.equal(scheduler.consecutiveFailures, 3);
+  assert.ok(job.nextRunAt >= scheduler.backoffUntil);
+});
+
+test('clears the backoff after a successful run', async (t) => {
+  let runs = 0;
+  t.mock.method(syncService, 'performFullSync', async () => {
+    if (++runs === 1) throw new Error('Notion unavailable');
+    return { runId: `run-${runs}` };
+  });
+  scheduler.start(schedule());
+  const [job] = scheduler.jobs;
+
+  await scheduler.fire(job);
+  assert.ok(scheduler.backoffUntil);
+  await scheduler.fire(job);
+  assert.equal(scheduler.backoffUntil, null);
+  assert.equal(scheduler.consecutiveFailures, 0);
+  assert.equal(job.lastResult, 'success');
+});
@@ -0,0 +1,142 @@
+// In-memory Notion and Google Tasks behind the real service singletons, for tests of the
+// sync, revert and webhook services. Require this before anything else from src/: config
+// is read on require, and the state files go to a fresh temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  NOTION_TOKEN: 'test', NOTION_DATABASE_ID: 'db1', GOOGLE_CLIENT_ID: 'test', GOOGLE_CLIENT_SECRET: 'test', GOOGLE_REFRESH_TOKEN: 'test',
+  SYNC_STATE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-')),
+  SYNC_HISTORY_DAYS: '1',
+  LOG_FILES: 'false'
+});
+
+const notionService = require('../../src/services/notionService');
+const googleTasksService = require('../../src/services/googleTasksService');
+const taskMappings = require('../../src/models/taskMapping');
+const taskSnapshots = require('../../src/models/taskSnapshot');
+const syncRuns = require('../../src/models/syncRun');
+
+const DATA_SOURCE_ID = 'ds1';
+const DEFAULT_LIST = '@default';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const pages = new Map();
+const tasks = new Map();
+const tombstones = new Map();
+let lastId = 0;
+let clock = 0;
+
+// Edit times: never behind the real clock (runs record real times) and strictly increasing
+function tick() {
+  clock = Math.max(Date.now(), clock + 1);
+  return new Date(clock).toISOString();
+}
+
+// An edit time well before the current run, e.g. for tasks that existed before the first sync
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+function addPage(fields = {}) {
+  const id = `page-${++lastId}`;
+  pages.set(id, { id, title: '', completed: false, due: null, notes: '', archived: false, parent: { dataSourceId: DATA_SOURCE_ID }, lastModified: tick(), ...fields });
+  return id;
+}
+
+function addTask(fields = {}) {
+  const id = `task-${++lastId}`;
+  tasks.set(id, { id, title: '', completed: false, due: null, notes: '', listId: DEFAULT_LIST, parent: null, lastModified: tick(), ...fields });
+  return id;
+}
+
+function editPage(id, fields) {
+  return Object.assign(pages.get(id), fields, { lastModified: tick() });
+}
+
+function editTask(id, fields) {
+  return Object.assign(tasks.get(id), fields, { lastModified: tick() });
+}
+
+// Google drops the task; incremental fetches see it as a tombstone
+function deleteTask(id) {
+  tombstones.set(id, { ...tasks.get(id), deleted: true, lastModified: tick() });
+  tasks.delete(id);
+}
+
+const findPage = title => [...pages.values()].find(page => page.title === title && !page.archived);
+const findTask = title => [...tasks.values()].find(task => task.title === title);
+const copy = item => ({ ...item, comments: item.notes });
+const editedSince = (item, since) => !since || item.lastModified >= since;
+
+// Calls made through the fakes, by method name
+const calls = {};
+function stub(service, name, fn) {
+  service[name] = async (...args) => {
+    calls[name] = (calls[name] || 0) + 1;
+    return fn(...args);
+  };
+}
+
+stub(notionService, 'initialize', async () => DATA_SOURCE_ID);
+stub(notionService, 'hasParentProperty', async () => fakes.hierarchy);
+stub(notionService, 'getTasks', async (source, { editedAfter } = {}) =>
+  [...pages.values()].filter(page => !page.archived && editedSince(page, editedAfter)).map(copy));
+stub(notionService, 'getTrashedPageIds', async (source, { editedAfter } = {}) =>
+  [...pages.values()].filter(page => page.archived && editedSince(page, editedAfter)).map(page => page.id));
+stub(notionService, 'getPage', async id => (pages.has(id) ? copy(pages.get(id)) : null));
+stub(notionService, 'getPageComments', async id => pages.get(id).notes);
+stub(notionService, 'updatePageComments', async (id, notes) => {
+  editPage(id, { notes });
+  return true;
+});
+stub(notionService, 'archiveTask', async id => {
+  editPage(id, { archived: true });
+  return true;
+});
+stub(notionService, 'createTask', async data => {
+  const { googleTask, ...fields } = data;
+  return copy(pages.get(addPage({ ...fields, notes: fields.notes || '', googleLink: googleTask?.id })));
+});
+stub(notionService, 'updateTask', async (id, updates) => {
+  const { googleTask, reopenStatus, ...fields } = updates;
+  if (googleTask) fields.googleLink = googleTask.id;
+  return copy(editPage(id, fields));
+});
+
+stub(googleTasksService, 'getTasks', async (listId = DEFAULT_LIST, { updatedMin } = {}) =>
+  [...tasks.values(), ...(updatedMin ? tombstones.values() : [])]
+    .filter(task => task.listId === listId && editedSince(task, updatedMin))
+    .map(task => ({ ...task })));
+stub(googleTasksService, 'getTask', async (id, listId = DEFAULT_LIST) => {
+  const task = tasks.get(id) || tombstones.get(id);
+  // Like the API: a task is only found through the list it is in
+  return task && task.listId === listId ? { ...task } : null;
+});
+stub(googleTasksService, 'createTask', async (data, listId = DEFAULT_LIST) =>
+  ({ ...tasks.get(addTask({ ...data, due: data.due || null, notes: data.notes || '', parent: data.parent || null, listId })) }));
+stub(googleTasksService, 'updateTask', async (id, updates) => ({ ...editTask(id, updates) }));
+stub(googleTasksService, 'deleteTask', async id => {
+  deleteTask(id);
+  return true;
+});
+stub(googleTasksService, 'moveTask', async (id, from, to) => ({ ...editTask(id, { listId: to }) }));
+stub(googleTasksService, 'setParent', async (id, parent) => ({ ...editTask(id, { parent: parent || null }) }));
+
+// Empty both sides and the stored state
+async function reset() {
+  pages.clear();
+  tasks.clear();
+  tombstones.clear();
+  for (const name of Object.keys(calls)) delete calls[name];
+  fakes.hierarchy = false;
+  fs.rmSync(process.env.SYNC_STATE_DIR, { recursive: true, force: true });
+  await Promise.all([taskMappings.load(), taskSnapshots.load(), syncRuns.load()]);
+}
+
+const fakes = {
+  pages, tasks, calls, hierarchy: false,
+  tick, hoursAgo, addPage, addTask, editPage, editTask, deleteTask, findPage, findTask, reset
+};
+
+module.exports = fakes;
@@ -0,0 +1,104 @@
+const fakes = require('./support/fakeBackends');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const syncService = require('../src/services/syncService');
+const taskMappings = require('../src/models/taskMapping');
+
+test.beforeEach(() => fakes.reset());
+
+// Change a setting for one test
+function override(t, object, name, value) {
+  const saved = object[name];
+  object[name] = value;
+  t.after(() => { object[name] = saved; });
+}
+
+test('pairs an unmapped page and task by title instead of creating copies', async () => {
+  const pageId = fakes.addPage({ title: 'Buy milk', lastModified: fakes.hoursAgo(1) });
+  const taskId = fakes.addTask({ title: 'buy  Milk ', lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+
+  assert.equal(fakes.pages.size, 1);
+  assert.equal(fakes.tasks.size, 1);
+  assert.equal(taskMappings.findByNotionId(pageId).googleId, taskId);
+});
+
+test('keeps a pair by ID when the title changes', async (t) => {
+  // The rename follows the sync at once; count it as the newer edit
+  override(t, syncService, 'recencySkewMs', 0);
+  const pageId = fakes.addPage({ title: 'Draft', lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+  const taskId = fakes.findTask('Draft').id;
+
+  fakes.editPage(pageId, { title: 'Final' });
+  await syncService.performFullSync();
+
+  assert.equal(fakes.tasks.size, 1);
+  assert.equal(fakes.tasks.get(taskId).title, 'Final');
+  assert.equal(taskMappings.findByNotionId(pageId).googleId, taskId);
+});
+
+test('keeps a Notion parent that Google cannot express', async () => {
+  fakes.hierarchy = true;
+  // A completed parent is never created in Google, so the child's copy stays top-level
+  const parent = fakes.addPage({ title: 'Project', completed: true, parentPageId: null, lastModified: fakes.hoursAgo(1) });
+  fakes.addPage({ title: 'Step', parentPageId: parent, lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+  assert.equal(fakes.findTask('Step').parent, null);
+
+  const plan = await syncService.performFullSync({ dryRun: true });
+  assert.deepEqual(plan.operations.filter(op => op.field === 'parent'), []);
+  await syncService.performFullSync();
+  assert.equal(fakes.findPage('Step').parentPageId, parent);
+});
+
+test('creates Google tasks with the date of a Notion datetime or range', async () => {
+  fakes.addPage({ title: 'Call', due: '2026-10-20T09:30:00.000+02:00' });
+  await syncService.performFullSync();
+  assert.equal(fakes.findTask('Call').due, '2026-10-20');
+});
+
+test('archives the Notion page of a deleted Google task after the grace period', async (t) => {
+  override(t, config.sync.deletion, 'graceMinutes', 0);
+  fakes.addPage({ title: 'Errand', lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+
+  fakes.deleteTask(fakes.findTask('Errand').id);
+  await syncService.performFullSync();
+  assert.equal(fakes.findPage('Errand'), undefined);
+});
+
+test('keeps the Notion page of a Google task moved to a list that is not synced', async (t) => {
+  override(t, config.sync.deletion, 'graceMinutes', 0);
+  fakes.addPage({ title: 'Errand', lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+
+  fakes.editTask(fakes.findTask('Errand').id, { listId: 'elsewhere' });
+  await syncService.performFullSync();
+  await syncService.performFullSync();
+  assert.ok(fakes.findPage('Errand'));
+  assert.equal(fakes.calls.archiveTask, undefined);
+});
+
+test('waits out the grace period before archiving', async () => {
+  const pageId = fakes.addPage({ title: 'Errand', lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+
+  fakes.deleteTask(fakes.findTask('Errand').id);
+  await syncService.performFullSync();
+  assert.ok(fakes.findPage('Errand'));
+  assert.equal(taskMappings.findByNotionId(pageId).missingSide, 'google');
+});
+
+test('archives at most MAX_DELETES_PER_RUN pages per run', async (t) => {
+  override(t, config.sync.deletion, 'graceMinutes', 0);
+  override(t, config.sync.deletion, 'maxPerRun', 2);
+  for (const title of ['A', 'B', 'C']) fakes.addPage({ title, lastModified: fakes.hoursAgo(1) });
+  await syncService.performFullSync();
+
+  for (const title of ['A', 'B', 'C']) fakes.deleteTask(fakes.findTask(title).id);
+  assert.equal((await syncService.performFullSync()).deleted, 2);
+  assert.equal((await syncService.performFullSync()).deleted, 1);
+  assert.equal([...fakes.pages.values()].filter(page => page.archived).length, 3);
+});